@@ -1,46 +1,503 @@
 const express = require('express');
-const { spawn, exec } = require('child_process');
+const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const readline = require('readline');
+const crypto = require('crypto');
+const net = require('net');
+const zlib = require('zlib');
+const dgram = require('dgram');
+const util = require('util');
+const { pipeline, Transform } = require('stream');
+const EventEmitter = require('events');
 
+// Lookup table for the zip writer's CRC-32 (zlib.crc32 only exists from Node 20.15)
+const CRC32_TABLE = Array.from({ length: 256 }, (value, index) => {
+    let crc = index;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return crc >>> 0;
+});
+
+// Append-only log file that rolls over by size or age. Rolled files are
+// gzipped next to it as <name>-<timestamp>.log.gz and the oldest are pruned.
+class RotatingLog {
+    constructor(directory, name, options) {
+        this.directory = directory;
+        this.name = name;
+        this.file = path.join(directory, `${name}.log`);
+        this.maxBytes = options.maxBytes;
+        this.maxAge = options.maxAge;
+        this.retention = options.retention;
+        this.stream = null;
+        this.size = 0;
+        this.openedAt = 0;
+    }
+
+    write(level, text) {
+        const line = `[${new Date().toISOString()}] [${level}] ${text}\n`;
+        try {
+            if (!this.stream) {
+                this.open();
+            }
+            const bytes = Buffer.byteLength(line);
+            if (this.size > 0 && (this.size + bytes > this.maxBytes || Date.now() - this.openedAt > this.maxAge)) {
+                this.rotate();
+            }
+            this.stream.write(line);
+            this.size += bytes;
+        } catch (error) {
+            // Never let logging take the manager down; console output still works
+            process.stderr.write(`⚠️  Could not write ${this.file}: ${error.message}\n`);
+        }
+    }
+
+    open() {
+        fs.mkdirSync(this.directory, { recursive: true });
+        const stats = fs.statSync(this.file, { throwIfNoEntry: false });
+        this.size = stats ? stats.size : 0;
+        // An existing file keeps aging from when it was created, across manager restarts
+        this.openedAt = stats ? (stats.birthtimeMs || stats.mtimeMs) : Date.now();
+        this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+        this.stream.on('error', (error) => {
+            process.stderr.write(`⚠️  Log file ${this.file} failed: ${error.message}\n`);
+            this.stream = null;
+        });
+    }
+
+    rotate() {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const rolled = path.join(this.directory, `${this.name}-${stamp}.log`);
+        fs.renameSync(this.file, rolled);
+
+        // Compress once the old stream has flushed into the renamed file
+        const previous = this.stream;
+        this.open();
+        previous.end(() => this.compress(rolled));
+    }
+
+    compress(file) {
+        pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(`${file}.gz`), (error) => {
+            if (error) {
+                process.stderr.write(`⚠️  Could not compress ${file}: ${error.message}\n`);
+                return;
+            }
+            fs.unlink(file, () => this.prune());
+        });
+    }
+
+    prune() {
+        const archives = this.listFiles().filter(file => file.compressed);
+        for (const archive of archives.slice(0, Math.max(0, archives.length - this.retention))) {
+            fs.rmSync(archive.filePath, { force: true });
+        }
+    }
+
+    // Archives oldest first (timestamps in the names sort lexically), then the current file
+    listFiles() {
+        if (!fs.existsSync(this.directory)) return [];
+        const names = fs.readdirSync(this.directory)
+            .filter(name => name.startsWith(`${this.name}-`) && name.endsWith('.log.gz'))
+            .sort();
+        if (fs.existsSync(this.file)) {
+            names.push(`${this.name}.log`);
+        }
+
+        return names.map((name) => {
+            const filePath = path.join(this.directory, name);
+            const stats = fs.statSync(filePath);
+            return {
+                name: name,
+                filePath: filePath,
+                size: stats.size,
+                modifiedAt: stats.mtimeMs,
+                compressed: name.endsWith('.gz')
+            };
+        });
+    }
+
+    // Resolves once buffered lines are on disk
+    close() {
+        const stream = this.stream;
+        this.stream = null;
+        return new Promise(resolve => (stream ? stream.end(resolve) : resolve()));
+    }
+}
+
+// Minimal RCON client for Minecraft: one request in flight per connection,
+// replies matched by request id. Long replies arrive split over several
+// packets with no end marker, so each command is followed by a packet of an
+// unknown type; the server's "Unknown request" answer to it ends the reply.
+class RconClient extends EventEmitter {
+    constructor({ host, port, password, timeout = 10000 }) {
+        super();
+        this.host = host;
+        this.port = port;
+        this.password = password;
+        this.timeout = timeout;
+        // Minecraft reads requests into a 1460 byte buffer
+        this.maxBodyBytes = 1446;
+        this.socket = null;
+        this.authenticated = false;
+        this.buffer = Buffer.alloc(0);
+        this.requestId = 0;
+        this.pending = null;
+        this.queue = [];
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.port });
+            const timer = setTimeout(() => {
+                socket.destroy();
+                reject(new Error('RCON connection timed out'));
+            }, this.timeout);
+
+            socket.on('connect', () => {
+                this.socket = socket;
+                this.request(3, this.password).then(() => {
+                    clearTimeout(timer);
+                    this.authenticated = true;
+                    resolve();
+                }, (error) => {
+                    clearTimeout(timer);
+                    socket.destroy();
+                    reject(error);
+                });
+            });
+            socket.on('data', chunk => this.handleData(chunk));
+            socket.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+            socket.on('close', () => {
+                const wasAuthenticated = this.authenticated;
+                this.socket = null;
+                this.authenticated = false;
+                this.failAll(new Error('RCON connection closed'));
+                if (wasAuthenticated) {
+                    this.emit('close');
+                }
+            });
+        });
+    }
+
+    command(text, timeout = this.timeout) {
+        if (!this.authenticated) {
+            return Promise.reject(new Error('RCON is not connected'));
+        }
+        if (Buffer.byteLength(text) > this.maxBodyBytes) {
+            return Promise.reject(new Error(`RCON commands are limited to ${this.maxBodyBytes} bytes`));
+        }
+        return this.request(2, text, timeout);
+    }
+
+    request(type, body, timeout = this.timeout) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ type, body, timeout, resolve, reject });
+            this.sendNext();
+        });
+    }
+
+    sendNext() {
+        if (this.pending || this.queue.length === 0 || !this.socket) return;
+
+        const request = this.queue.shift();
+        request.id = this.nextId();
+        request.chunks = [];
+        this.pending = request;
+
+        this.socket.write(this.encode(request.id, request.type, request.body));
+        if (request.type === 2) {
+            request.endId = this.nextId();
+            this.socket.write(this.encode(request.endId, 200, ''));
+        }
+        request.timer = setTimeout(() => this.finish(new Error('RCON request timed out')), request.timeout);
+    }
+
+    nextId() {
+        this.requestId = this.requestId >= 0x7fffffff ? 1 : this.requestId + 1;
+        return this.requestId;
+    }
+
+    // Packet: int32 length, int32 id, int32 type, body, two NUL bytes (little endian)
+    encode(id, type, body) {
+        const payload = Buffer.from(body, 'utf8');
+        const packet = Buffer.alloc(14 + payload.length);
+        packet.writeInt32LE(10 + payload.length, 0);
+        packet.writeInt32LE(id, 4);
+        packet.writeInt32LE(type, 8);
+        payload.copy(packet, 12);
+        return packet;
+    }
+
+    handleData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        while (this.buffer.length >= 4) {
+            const length = this.buffer.readInt32LE(0);
+            if (this.buffer.length < length + 4) break;
+
+            const id = this.buffer.readInt32LE(4);
+            const body = this.buffer.toString('utf8', 12, length + 2);
+            this.buffer = this.buffer.subarray(length + 4);
+            this.handlePacket(id, body);
+        }
+    }
+
+    handlePacket(id, body) {
+        const request = this.pending;
+        if (!request) return;
+
+        if (request.type === 3) {
+            // A failed login answers with id -1
+            if (id === -1) {
+                this.finish(new Error('RCON authentication failed (check rcon.password)'));
+            } else if (id === request.id) {
+                this.finish(null, '');
+            }
+            return;
+        }
+
+        if (id === request.id) {
+            request.chunks.push(body);
+        } else if (id === request.endId) {
+            this.finish(null, request.chunks.join(''));
+        }
+    }
+
+    finish(error, reply) {
+        const request = this.pending;
+        if (!request) return;
+
+        clearTimeout(request.timer);
+        this.pending = null;
+        if (error) {
+            request.reject(error);
+        } else {
+            request.resolve(reply);
+        }
+        this.sendNext();
+    }
+
+    failAll(error) {
+        this.finish(error);
+        for (const request of this.queue.splice(0)) {
+            request.reject(error);
+        }
+    }
+
+    close() {
+        if (this.socket) {
+            this.socket.destroy();
+        }
+    }
+}
+
+// One Minecraft server: its process, directory, ports and routes. The
+// MinecraftServerManager below owns the web app, auth and the set of instances.
 class MinecraftCrossplayServer {
-    constructor() {
-        this.app = express();
+    constructor(manager, options) {
+        this.manager = manager;
+        this.id = options.id;
+        this.name = options.name;
+        this.app = express.Router();
         this.minecraftProcess = null;
-        this.serverPath = './minecraft-server';
+        this.serverPath = options.serverPath;
         this.jarFile = 'paper-server.jar';
 
-        // Use environment variables for deployment
-        this.javaPort = process.env.MINECRAFT_PORT || 25565;
-        this.bedrockPort = process.env.BEDROCK_PORT || 19132;
-        this.webPort = process.env.PORT || 3000;
+        this.javaPort = options.javaPort;
+        this.bedrockPort = options.bedrockPort;
 
-        this.localIP = this.getLocalIP();
-        this.publicIP = null;
         this.serverStatus = 'offline';
         this.startTime = null;
         this.serverReady = false;
-        this.isProduction = process.env.NODE_ENV === 'production';
         this.javaInstalled = true;
-        this.restartAttempts = 0;
-        this.memoryMonitorInterval = null;
+        this.metricsInterval = null;
         this.initializationComplete = false;
 
-        this.setupExpress();
+        // Live console: bounded scrollback plus connected SSE clients
+        this.consoleBufferSize = parseInt(process.env.CONSOLE_BUFFER_SIZE) || 1000;
+        this.consoleBuffer = [];
+        this.consoleSequence = 0;
+        this.consoleClients = new Set();
+        this.consoleListeners = new Set();
+
+        // RCON command channel: enabled in server.properties with a generated
+        // password on start and used for commands once connected; stdin is the
+        // fallback. Also lets the manager drive a server it didn't start.
+        this.rconEnabled = process.env.RCON_ENABLED !== 'false';
+        this.rcon = null;
+        this.rconExternal = false;
+        this.rconReconnectTimer = null;
+        this.rconLastError = null;
+
+        // Idle sleep: stop after IDLE_SLEEP_MINUTES without players, then answer
+        // Server List Ping on the Java port ourselves and start again on a login
+        this.idleSleepMinutes = parseInt(process.env.IDLE_SLEEP_MINUTES) || 0;
+        this.sleepMotd = process.env.SLEEP_MOTD || '§7Sleeping §8- §aJoin to wake the server up';
+        this.idleSince = null;
+        this.idleTimer = null;
+        this.sleepListener = null;
+        this.sleepSockets = new Set();
+        this.sleepingSince = null;
+
+        // Captured command output, kept for async lookups by id
+        this.commandResults = new Map();
+        this.commandSequence = 0;
+        this.maxCommandResults = 100;
+
+        // Instance state (crashes, schedules, etc.) lives outside the Minecraft directory
+        this.dataPath = options.dataPath;
+
+        // Everything the server prints (stdout, stderr and sent commands), persisted
+        this.logPath = options.logPath;
+        this.serverLog = new RotatingLog(this.logPath, 'server', manager.logOptions);
+
+        // World backups
+        this.backupPath = options.backupPath;
+        this.backupSchedule = options.backupSchedule || null;
+        this.backupRetentionCount = parseInt(process.env.BACKUP_RETENTION_COUNT) || 7;
+        this.backupRetentionDays = parseInt(process.env.BACKUP_RETENTION_DAYS) || 0;
+        this.backupInProgress = false;
+        this.restoreInProgress = false;
+        this.lastBackup = null;
+        this.backupTimer = null;
+
+        // Players parsed from console output
+        this.onlinePlayers = new Map();
+        this.bedrockPlayers = new Set();
+        this.pendingPlayerAddresses = new Map();
+        this.playerEvents = [];
+        this.playerSessions = [];
+        this.maxPlayerHistory = 200;
+
+        // Server software and plugin versions
+        this.manifestPath = options.manifestPath;
+        this.updateInProgress = false;
+
+        // Plugin jars; disabled ones are parked in plugins/disabled
+        this.pluginsPath = path.join(this.serverPath, 'plugins');
+        this.pluginMetadataCache = new Map();
+        this.pendingPluginChanges = new Set();
+
+        // Geyser/Floodgate settings owned by the manager: environment and instance
+        // defaults, overridden by data/geyser.json, written into the plugin configs on start
+        this.geyserDefaults = {
+            bedrockPort: parseInt(options.bedrockPort),
+            bedrockAddress: process.env.BEDROCK_ADDRESS || '0.0.0.0',
+            authType: process.env.GEYSER_AUTH_TYPE || 'auto',
+            floodgatePrefix: process.env.FLOODGATE_PREFIX !== undefined ? process.env.FLOODGATE_PREFIX : '.'
+        };
+        this.geyserAuthTypes = ['auto', 'online', 'offline', 'floodgate'];
+        const geyser = this.loadGeyserConfig();
+        this.bedrockPort = geyser.bedrockPort;
+        this.floodgatePrefix = geyser.floodgatePrefix;
+        this.geyserMismatches = this.checkGeyserConfig(geyser).map(mismatch => ({ ...mismatch, fixed: false }));
+        this.geyserCheckedAt = Date.now();
+        this.pendingGeyserChange = false;
+        if (this.geyserMismatches.length > 0) {
+            console.log(`⚠️  ${this.name}: Geyser/Floodgate settings differ from the manager's (${this.geyserMismatches.map(mismatch => mismatch.key).join(', ')}), fixed on next start`);
+        }
+
+        // File manager limits: text edits stay small, uploads can carry worlds or jars
+        this.fileEditMaxBytes = parseInt(process.env.FILE_EDIT_MAX_BYTES) || 1024 * 1024;
+        this.fileUploadLimit = process.env.FILE_UPLOAD_LIMIT || '100mb';
+
+        // World uploads are streamed to disk, then unpacked one entry at a
+        // time; the caps keep a crafted zip from filling memory or the disk
+        this.worldUploadLimit = (this.parseMemorySize(process.env.WORLD_UPLOAD_LIMIT || '200M') || 200) * 1024 * 1024;
+        this.worldUnpackedLimit = (this.parseMemorySize(process.env.WORLD_UNPACKED_LIMIT || '2G') || 2048) * 1024 * 1024;
+        this.zipEntryMaxBytes = 256 * 1024 * 1024;
+        this.worldChangeInProgress = false;
+
+        // Crash supervisor: restart policy, exponential backoff and a crash
+        // window so a server that keeps dying is eventually left offline
+        this.restartPolicy = ['never', 'on-failure', 'always'].includes(process.env.RESTART_POLICY)
+            ? process.env.RESTART_POLICY
+            : 'on-failure';
+        this.restartMaxCrashes = parseInt(process.env.RESTART_MAX_CRASHES) || 5;
+        this.restartWindow = parseInt(process.env.RESTART_WINDOW) || 10 * 60 * 1000;
+        this.restartBackoffBase = parseInt(process.env.RESTART_BACKOFF_BASE) || 10000;
+        this.restartBackoffMax = parseInt(process.env.RESTART_BACKOFF_MAX) || 5 * 60 * 1000;
+        this.crashLogLines = parseInt(process.env.CRASH_LOG_LINES) || 100;
+        this.crashTimes = [];
+        this.restartTimer = null;
+        this.nextRestartAt = null;
+        this.restartGaveUp = false;
+        this.stopRequested = false;
+        this.processStartedAt = null;
+
+        // Performance metrics: rolling in-memory history, optionally persisted
+        this.metricsSampleInterval = parseInt(process.env.METRICS_INTERVAL) || 60000;
+        this.metricsHistorySize = parseInt(process.env.METRICS_HISTORY_SIZE) || 1440;
+        this.metricsPersist = process.env.METRICS_PERSIST === 'true';
+        this.memoryWarningMB = parseInt(process.env.MEMORY_WARNING_MB) || null;
+        this.metricsHistory = this.metricsPersist ? this.loadMetricsHistory() : [];
+        this.latestMetrics = null;
+        this.lastCpuSample = null;
+        this.metricsSampling = false;
+
+        // Game port health (Server List Ping, GameSpy4 query, RakNet ping)
+        this.healthCheckInterval = parseInt(process.env.HEALTH_CHECK_INTERVAL) || 30000;
+        this.healthCheckTimer = null;
+        this.healthCheckRunning = false;
+        this.gameHealth = { java: null, query: null, bedrock: null, checkedAt: null };
+
+        // server.properties keys changed while the server was running
+        this.pendingPropertyChanges = new Set();
+
+        // Graceful shutdown: players get a countdown (seconds) before stop/restart,
+        // and the process is killed only after the kill timeout
+        this.shutdownCountdown = parseInt(process.env.SHUTDOWN_COUNTDOWN) || 30;
+        this.shutdownKillTimeout = parseInt(process.env.SHUTDOWN_KILL_TIMEOUT) || 120000;
+        this.shutdownPromise = null;
+        this.shutdownState = null;
+
+        // JVM profile: environment defaults, overridden by data/jvm.json (written via the API)
+        this.jvmDefaults = {
+            javaPath: process.env.JAVA_PATH || 'java',
+            preset: process.env.JVM_PRESET || 'default',
+            maxMemory: process.env.JVM_MAX_MEMORY || 'auto',
+            minMemory: process.env.JVM_MIN_MEMORY || null,
+            extraFlags: (process.env.JVM_FLAGS || '').split(/\s+/).filter(Boolean)
+        };
+        this.jvmPresets = ['default', 'aikar', 'none'];
+        this.javaVersionCache = new Map();
+        this.pendingJvmChange = false;
+        this.jvmCommand = null;
+
+        // Cron-scheduled tasks, persisted in data/schedules.json
+        this.scheduleTypes = ['command', 'broadcast', 'restart', 'backup'];
+        this.schedules = this.loadSchedules();
+        this.queuedTasks = new Set();
+        this.schedulerTimer = null;
+
+        this.memoryWarningActive = false;
+
         this.setupRoutes();
         this.setupServerProperties();
-        this.getPublicIP();
+        this.startBackupSchedule();
+        this.startScheduler();
+    }
 
-        // Start initialization sequence for production
-        if (this.isProduction) {
-            this.initializeServer();
-        }
+    requireRole(role) {
+        return this.manager.requireRole(role);
+    }
+
+    notify(event, message, details = {}) {
+        this.manager.notify(event, this.id === 'default' ? message : `[${this.name}] ${message}`, { instance: this.id, ...details });
     }
 
     async initializeServer() {
         console.log('🔧 Starting server initialization sequence...');
 
+        if (await this.attachExternalServer()) {
+            this.initializationComplete = true;
+            return;
+        }
+
         try {
             // Step 1: Download required files
             await this.downloadRequiredFiles();
@@ -60,219 +517,5907 @@ class MinecraftCrossplayServer {
         }
     }
 
-    getLocalIP() {
-        try {
-            const interfaces = os.networkInterfaces();
-            for (const name of Object.keys(interfaces)) {
-                for (const networkInterface of interfaces[name]) {
-                    if (networkInterface.family === 'IPv4' && !networkInterface.internal) {
-                        return networkInterface.address;
-                    }
-                }
-            }
-        } catch (error) {
-            console.log('⚠️  Error detecting local IP:', error.message);
+    async downloadRequiredFiles() {
+        console.log('📥 Downloading required server files for crossplay...');
+
+        if (!fs.existsSync(this.serverPath)) {
+            fs.mkdirSync(this.serverPath, { recursive: true });
+        }
+
+        if (!fs.existsSync(path.join(this.serverPath, 'plugins'))) {
+            fs.mkdirSync(path.join(this.serverPath, 'plugins'), { recursive: true });
         }
-        return this.isProduction ? '0.0.0.0' : '127.0.0.1';
-    }
 
-    async getPublicIP() {
         try {
-            // Check for platform-specific environment variables
-            if (process.env.RAILWAY_STATIC_URL) {
-                this.publicIP = process.env.RAILWAY_STATIC_URL.replace('https://', '').replace('http://', '');
-                console.log(`🌐 Railway Domain: ${this.publicIP}`);
-                return;
-            }
+            const manifest = this.loadManifest();
+            const entries = this.getManifestEntries(manifest);
 
-            if (process.env.KOYEB_PUBLIC_DOMAIN) {
-                this.publicIP = process.env.KOYEB_PUBLIC_DOMAIN.replace('https://', '').replace('http://', '');
-                console.log(`🌐 Koyeb Domain: ${this.publicIP}`);
-                return;
-            }
+            for (let i = 0; i < entries.length; i++) {
+                const entry = entries[i];
+                const target = path.join(this.serverPath, this.getArtifactTarget(entry));
 
-            // Fallback to external IP detection
-            const https = require('https');
-            const options = {
-                hostname: 'api.ipify.org',
-                port: 443,
-                path: '/',
-                method: 'GET',
-                timeout: 5000
-            };
+                console.log(`📥 Step ${i + 1}/${entries.length}: Downloading ${entry.label}...`);
 
-            const req = https.request(options, (res) => {
-                let data = '';
-                res.on('data', (chunk) => {
-                    data += chunk;
-                });
-                res.on('end', () => {
-                    this.publicIP = data.trim();
-                    console.log(`🌐 Public IP detected: ${this.publicIP}`);
-                });
-            });
+                // Existing files are kept; upgrades go through stageUpdates()
+                if (fs.existsSync(target) || this.isPluginDisabled(entry)) {
+                    console.log(`⏭️  Skipping ${entry.label} - already exists`);
+                    continue;
+                }
 
-            req.on('error', (error) => {
-                console.log('⚠️  Could not detect public IP:', error.message);
-                this.publicIP = this.isProduction ? 'production-server' : '127.0.0.1';
-            });
+                const artifact = await this.resolveArtifact(entry);
+                await this.downloadFile(artifact.url, target, entry.label, artifact.sha256 || artifact.sha512);
+                this.recordInstalledArtifact(artifact);
 
-            req.on('timeout', () => {
-                req.destroy();
-                this.publicIP = this.isProduction ? 'production-server' : '127.0.0.1';
-            });
+                if (i < entries.length - 1) {
+                    await this.sleep(1000);
+                }
+            }
 
-            req.end();
+            console.log('✅ All crossplay server files downloaded successfully');
         } catch (error) {
-            this.publicIP = this.isProduction ? 'production-server' : '127.0.0.1';
+            console.error('❌ Error downloading files:', error.message);
+            throw error;
         }
     }
 
-    async downloadRequiredFiles() {
-        console.log('📥 Downloading required server files for crossplay...');
+    getDefaultManifest() {
+        return {
+            server: { software: 'paper', version: '1.20.4', build: 497 },
+            plugins: []
+        };
+    }
 
-        if (!fs.existsSync(this.serverPath)) {
-            fs.mkdirSync(this.serverPath, { recursive: true });
+    loadManifest() {
+        try {
+            if (fs.existsSync(this.manifestPath)) {
+                const manifest = JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+                const errors = this.validateManifest(manifest);
+                if (errors.length > 0) {
+                    throw new Error(errors.join('; '));
+                }
+                return manifest;
+            }
+        } catch (error) {
+            console.log(`⚠️  Invalid manifest ${this.manifestPath}: ${error.message}`);
         }
+        return this.getDefaultManifest();
+    }
 
-        if (!fs.existsSync(path.join(this.serverPath, 'plugins'))) {
-            fs.mkdirSync(path.join(this.serverPath, 'plugins'), { recursive: true });
+    validateManifest(manifest) {
+        const errors = [];
+        const isVersion = value => value === 'latest' || (typeof value === 'string' && /^[\w.\-+]+$/.test(value));
+        const isBuild = value => value === undefined || value === 'latest' || Number.isInteger(value);
+
+        if (!manifest || typeof manifest !== 'object') {
+            return ['Manifest must be an object'];
         }
 
-        try {
-            console.log('📥 Step 1/5: Downloading Paper server...');
-            await this.downloadFile(
-                'https://api.papermc.io/v2/projects/paper/versions/1.20.4/builds/497/downloads/paper-1.20.4-497.jar',
-                path.join(this.serverPath, this.jarFile),
-                'Paper Server'
-            );
+        const server = manifest.server || {};
+        if (server.software !== 'paper') errors.push('server.software must be "paper"');
+        if (!isVersion(server.version)) errors.push('server.version must be a version string or "latest"');
+        if (!isBuild(server.build)) errors.push('server.build must be a build number or "latest"');
 
-            await this.sleep(1000);
+        if (!Array.isArray(manifest.plugins)) {
+            errors.push('plugins must be an array');
+            return errors;
+        }
 
-            console.log('📥 Step 2/5: Downloading Geyser (Bedrock support)...');
-            await this.downloadFile(
-                'https://download.geysermc.org/v2/projects/geyser/versions/latest/builds/latest/downloads/spigot',
-                path.join(this.serverPath, 'plugins', 'Geyser-Spigot.jar'),
-                'Geyser Plugin'
-            );
+        const names = new Set();
+        manifest.plugins.forEach((plugin, index) => {
+            const label = `plugins[${index}]`;
+            if (!plugin || typeof plugin.name !== 'string' || !/^[\w\-]{1,64}$/.test(plugin.name)) {
+                errors.push(`${label}.name must be a simple name`);
+                return;
+            }
+            if (names.has(plugin.name)) errors.push(`${label}.name "${plugin.name}" is duplicated`);
+            names.add(plugin.name);
 
-            await this.sleep(1000);
+            if (!['geysermc', 'hangar', 'modrinth', 'url'].includes(plugin.source)) {
+                errors.push(`${label}.source must be geysermc, hangar, modrinth or url`);
+            }
+            if (plugin.source === 'url' && !/^https?:\/\//.test(plugin.url || '')) {
+                errors.push(`${label}.url must be an http(s) URL`);
+            }
+            if (plugin.source !== 'url' && !/^[\w\-]{1,64}$/.test(plugin.project || '')) {
+                errors.push(`${label}.project is required`);
+            }
+            if (plugin.source !== 'url' && !isVersion(plugin.version)) {
+                errors.push(`${label}.version must be a version string or "latest"`);
+            }
+            if (!isBuild(plugin.build)) errors.push(`${label}.build must be a build number or "latest"`);
+            if (!/^[\w.\-]+\.jar$/.test(plugin.file || '')) errors.push(`${label}.file must be a .jar file name`);
+            if (plugin.sha256 !== undefined && !/^[0-9a-fA-F]{64}$/.test(plugin.sha256)) {
+                errors.push(`${label}.sha256 must be a SHA-256 hex digest`);
+            }
+        });
 
-            console.log('📥 Step 3/5: Downloading Floodgate (Bedrock auth)...');
-            await this.downloadFile(
-                'https://download.geysermc.org/v2/projects/floodgate/versions/latest/builds/latest/downloads/spigot',
-                path.join(this.serverPath, 'plugins', 'floodgate-spigot.jar'),
-                'Floodgate Plugin'
-            );
+        return errors;
+    }
 
-            await this.sleep(1000);
+    // Flattens the manifest into the list of artifacts we manage
+    getManifestEntries(manifest) {
+        return [
+            { key: 'server', kind: 'server', label: 'Paper Server', ...manifest.server },
+            ...manifest.plugins.map(plugin => ({
+                key: plugin.name,
+                kind: 'plugin',
+                label: plugin.description ? `${plugin.name} (${plugin.description})` : plugin.name,
+                ...plugin
+            }))
+        ];
+    }
 
-            console.log('📥 Step 4/5: Downloading ViaVersion (multi-version)...');
-            await this.downloadFile(
-                'https://hangar.papermc.io/api/v1/projects/ViaVersion/versions/5.4.1/PAPER/download',
-                path.join(this.serverPath, 'plugins', 'ViaVersion.jar'),
-                'ViaVersion Plugin'
-            );
+    getArtifactTarget(entry) {
+        return entry.kind === 'server' ? this.jarFile : path.join('plugins', entry.file);
+    }
 
-            await this.sleep(1000);
+    // Resolves a manifest entry to a concrete version/build, download URL and
+    // published SHA-256 using the PaperMC, GeyserMC and Hangar APIs.
+    async resolveArtifact(entry) {
+        const artifact = {
+            key: entry.key,
+            kind: entry.kind,
+            label: entry.label,
+            target: this.getArtifactTarget(entry),
+            version: entry.version,
+            build: entry.build === undefined ? null : entry.build,
+            url: null,
+            sha256: entry.sha256 || null,
+            sha512: null
+        };
 
-            console.log('📥 Step 5/5: Downloading ViaBackwards (backward compatibility)...');
-            await this.downloadFile(
-                'https://hangar.papermc.io/api/v1/projects/ViaBackwards/versions/5.3.2/PAPER/download',
-                path.join(this.serverPath, 'plugins', 'ViaBackwards.jar'),
-                'ViaBackwards Plugin'
-            );
+        if (entry.kind === 'server') {
+            const api = 'https://api.papermc.io/v2/projects/paper';
+            let version = entry.version;
+            if (version === 'latest') {
+                const project = await this.requestJson(api);
+                version = project.versions[project.versions.length - 1];
+            }
 
-            console.log('✅ All crossplay server files downloaded successfully');
-        } catch (error) {
-            console.error('❌ Error downloading files:', error.message);
-            throw error;
+            const { builds } = await this.requestJson(`${api}/versions/${version}/builds`);
+            const build = entry.build === 'latest' || entry.build === undefined
+                ? builds[builds.length - 1]
+                : builds.find(candidate => candidate.build === entry.build);
+            if (!build) {
+                throw new Error(`Paper ${version} build ${entry.build} not found`);
+            }
+
+            const download = build.downloads.application;
+            artifact.version = version;
+            artifact.build = build.build;
+            artifact.url = `${api}/versions/${version}/builds/${build.build}/downloads/${download.name}`;
+            artifact.sha256 = download.sha256;
+        } else if (entry.source === 'geysermc') {
+            const base = `https://download.geysermc.org/v2/projects/${entry.project}/versions/${entry.version}/builds/${entry.build || 'latest'}`;
+            const build = await this.requestJson(base);
+            artifact.version = build.version;
+            artifact.build = build.build;
+            artifact.url = `https://download.geysermc.org/v2/projects/${entry.project}/versions/${build.version}/builds/${build.build}/downloads/spigot`;
+            artifact.sha256 = build.downloads.spigot.sha256;
+        } else if (entry.source === 'hangar') {
+            const api = `https://hangar.papermc.io/api/v1/projects/${entry.project}`;
+            const version = entry.version === 'latest'
+                ? (await this.requestText(`${api}/latestrelease`)).trim()
+                : entry.version;
+            const details = await this.requestJson(`${api}/versions/${encodeURIComponent(version)}`);
+            const download = details.downloads && details.downloads.PAPER;
+            if (!download) {
+                throw new Error(`${entry.project} ${version} has no Paper download`);
+            }
+
+            artifact.version = version;
+            artifact.url = download.downloadUrl || download.externalUrl || `${api}/versions/${encodeURIComponent(version)}/PAPER/download`;
+            artifact.sha256 = download.fileInfo ? download.fileInfo.sha256Hash : null;
+        } else if (entry.source === 'modrinth') {
+            const loaders = encodeURIComponent(JSON.stringify(['paper', 'spigot', 'bukkit']));
+            const versions = await this.requestJson(`https://api.modrinth.com/v2/project/${entry.project}/version?loaders=${loaders}`);
+            const version = entry.version === 'latest'
+                ? versions.find(candidate => candidate.version_type === 'release') || versions[0]
+                : versions.find(candidate => candidate.version_number === entry.version || candidate.id === entry.version);
+            if (!version) {
+                throw new Error(`${entry.project} ${entry.version} has no Paper download on Modrinth`);
+            }
+
+            // Modrinth publishes SHA-1 and SHA-512, not SHA-256
+            const file = version.files.find(candidate => candidate.primary) || version.files[0];
+            artifact.version = version.version_number;
+            artifact.url = file.url;
+            artifact.sha512 = file.hashes.sha512;
+        } else {
+            artifact.version = entry.version || null;
+            artifact.url = entry.url;
         }
-    }
 
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+        return artifact;
     }
 
-    async downloadFile(url, filepath, description) {
-        if (fs.existsSync(filepath)) {
-            console.log(`⏭️  Skipping ${description} - already exists`);
-            return;
-        }
+    requestText(url, redirects = 5) {
+        const https = require('https');
+        const http = require('http');
+        const client = url.startsWith('https') ? https : http;
 
-        try {
-            console.log(`📥 Downloading ${description}...`);
-            const https = require('https');
-            const http = require('http');
-
-            const file = fs.createWriteStream(filepath);
-            const client = url.startsWith('https') ? https : http;
-
-            return new Promise((resolve, reject) => {
-                const request = client.get(url, {
-                    timeout: 30000
-                }, (response) => {
-                    if (response.statusCode === 302 || response.statusCode === 301) {
-                        file.close();
-                        if (fs.existsSync(filepath)) {
-                            fs.unlinkSync(filepath);
-                        }
-                        return this.downloadFile(response.headers.location, filepath, description)
-                            .then(resolve)
-                            .catch(reject);
+        return new Promise((resolve, reject) => {
+            const request = client.get(url, {
+                timeout: 15000,
+                headers: { 'User-Agent': 'minecraft-crossplay-server', 'Accept': 'application/json' }
+            }, (response) => {
+                if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers.location) {
+                    response.resume();
+                    if (redirects <= 0) {
+                        return reject(new Error('Too many redirects'));
                     }
+                    return this.requestText(new URL(response.headers.location, url).toString(), redirects - 1)
+                        .then(resolve)
+                        .catch(reject);
+                }
 
+                let data = '';
+                response.setEncoding('utf8');
+                response.on('data', (chunk) => { data += chunk; });
+                response.on('end', () => {
                     if (response.statusCode !== 200) {
-                        file.close();
-                        if (fs.existsSync(filepath)) {
-                            fs.unlinkSync(filepath);
-                        }
-                        reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
-                        return;
+                        reject(new Error(`HTTP ${response.statusCode} from ${url}`));
+                    } else {
+                        resolve(data);
                     }
+                });
+            });
 
-                    response.pipe(file);
+            request.on('error', reject);
+            request.on('timeout', () => {
+                request.destroy();
+                reject(new Error(`Request timeout: ${url}`));
+            });
+        });
+    }
 
-                    file.on('finish', () => {
-                        file.close();
-                        console.log(`✅ Downloaded ${description}`);
-                        resolve();
-                    });
+    async requestJson(url) {
+        return JSON.parse(await this.requestText(url));
+    }
 
-                    file.on('error', (err) => {
-                        file.close();
-                        if (fs.existsSync(filepath)) {
-                            fs.unlinkSync(filepath);
-                        }
-                        reject(err);
-                    });
+    loadUpdateState() {
+        try {
+            const statePath = path.join(this.dataPath, 'updates.json');
+            if (fs.existsSync(statePath)) {
+                const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+                return { installed: state.installed || {}, staged: state.staged || [] };
+            }
+        } catch (error) {
+            console.log('⚠️  Could not load update state:', error.message);
+        }
+        return { installed: {}, staged: [] };
+    }
+
+    saveUpdateState(state) {
+        if (!fs.existsSync(this.dataPath)) {
+            fs.mkdirSync(this.dataPath, { recursive: true });
+        }
+        fs.writeFileSync(path.join(this.dataPath, 'updates.json'), JSON.stringify(state, null, 2));
+    }
+
+    recordInstalledArtifact(artifact) {
+        const state = this.loadUpdateState();
+        state.installed[artifact.key] = {
+            version: artifact.version,
+            build: artifact.build,
+            file: artifact.target,
+            sha256: artifact.sha256,
+            sha512: artifact.sha512,
+            installedAt: Date.now()
+        };
+        this.saveUpdateState(state);
+    }
+
+    async checkForUpdates() {
+        const state = this.loadUpdateState();
+        const results = [];
+
+        for (const entry of this.getManifestEntries(this.loadManifest())) {
+            const installed = state.installed[entry.key] || null;
+            const staged = state.staged.find(item => item.key === entry.key) || null;
+
+            try {
+                const artifact = await this.resolveArtifact(entry);
+                const current = staged || installed;
+                results.push({
+                    key: entry.key,
+                    installed: installed,
+                    staged: staged,
+                    available: { version: artifact.version, build: artifact.build },
+                    updateAvailable: !current || current.version !== artifact.version || current.build !== artifact.build,
+                    artifact: artifact
+                });
+            } catch (error) {
+                results.push({ key: entry.key, installed, staged, error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    // Downloads newer builds next to the live files. They are swapped in by
+    // applyStagedUpdates() the next time the server starts.
+    async stageUpdates() {
+        if (this.updateInProgress) {
+            throw new Error('An update is already in progress');
+        }
+
+        this.updateInProgress = true;
+        try {
+            const results = await this.checkForUpdates();
+            const stagingDir = path.join(this.serverPath, '.updates');
+            const staged = [];
+
+            for (const result of results) {
+                if (!result.updateAvailable) continue;
+
+                const artifact = result.artifact;
+                const stagedFile = path.join('.updates', `${artifact.key}-${artifact.version}${artifact.build !== null ? '-' + artifact.build : ''}.jar`);
+
+                if (!fs.existsSync(stagingDir)) {
+                    fs.mkdirSync(stagingDir, { recursive: true });
+                }
+
+                await this.downloadFile(artifact.url, path.join(this.serverPath, stagedFile), `${artifact.label} ${artifact.version}`, artifact.sha256 || artifact.sha512);
+
+                const state = this.loadUpdateState();
+                state.staged = state.staged.filter(item => item.key !== artifact.key);
+                state.staged.push({
+                    key: artifact.key,
+                    kind: artifact.kind,
+                    version: artifact.version,
+                    build: artifact.build,
+                    sha256: artifact.sha256,
+                    sha512: artifact.sha512,
+                    file: stagedFile,
+                    target: artifact.target,
+                    stagedAt: Date.now()
+                });
+                this.saveUpdateState(state);
+                staged.push({ key: artifact.key, version: artifact.version, build: artifact.build });
+            }
+
+            if (staged.length > 0) {
+                console.log(`📦 Staged ${staged.length} update(s); they will be applied on the next restart`);
+            }
+            return { staged, results: results.map(({ artifact, ...rest }) => rest) };
+        } finally {
+            this.updateInProgress = false;
+        }
+    }
+
+    applyStagedUpdates() {
+        const state = this.loadUpdateState();
+        if (state.staged.length === 0) return;
+
+        const previousDir = path.join(this.serverPath, '.updates', 'previous');
+        fs.mkdirSync(previousDir, { recursive: true });
+
+        for (const item of state.staged) {
+            const stagedPath = path.join(this.serverPath, item.file);
+            const disabledPath = path.join(this.pluginsPath, 'disabled', path.basename(item.target));
+            const targetPath = item.kind === 'plugin' && fs.existsSync(disabledPath)
+                ? disabledPath
+                : path.join(this.serverPath, item.target);
+
+            if (!fs.existsSync(stagedPath)) {
+                console.log(`⚠️  Staged update for ${item.key} is missing, skipping`);
+                continue;
+            }
+
+            const checksum = item.sha256 || item.sha512;
+            if (checksum && this.hashFileSync(stagedPath, this.getHashAlgorithm(checksum)) !== checksum.toLowerCase()) {
+                console.log(`⚠️  Staged update for ${item.key} failed checksum verification, skipping`);
+                fs.rmSync(stagedPath, { force: true });
+                continue;
+            }
+
+            // Keep the replaced jar so a bad update can be rolled back by hand
+            if (fs.existsSync(targetPath)) {
+                fs.renameSync(targetPath, path.join(previousDir, path.basename(item.target)));
+            }
+            fs.renameSync(stagedPath, targetPath);
+
+            state.installed[item.key] = {
+                version: item.version,
+                build: item.build,
+                file: item.target,
+                sha256: item.sha256,
+                sha512: item.sha512,
+                installedAt: Date.now()
+            };
+            console.log(`📦 Applied update: ${item.key} ${item.version}${item.build !== null ? ' build ' + item.build : ''}`);
+        }
+
+        state.staged = [];
+        this.saveUpdateState(state);
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // Downloads to "<file>.part", resuming with HTTP Range after failures, and
+    // only renames into place once the size and (when known) checksum check out.
+    // `expectedHash` is a SHA-256 or SHA-512 hex digest.
+    async downloadFile(url, filepath, description, expectedHash = null) {
+        if (fs.existsSync(filepath)) {
+            console.log(`⏭️  Skipping ${description} - already exists`);
+            return;
+        }
+
+        const tempPath = `${filepath}.part`;
+        const maxAttempts = 5;
+
+        console.log(`📥 Downloading ${description}...`);
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await this.downloadToFile(url, tempPath);
+
+                const algorithm = this.getHashAlgorithm(expectedHash);
+                const digest = await this.hashFile(tempPath, algorithm);
+                if (expectedHash && digest !== expectedHash.toLowerCase()) {
+                    // A corrupt partial file can't be resumed, start over
+                    fs.rmSync(tempPath, { force: true });
+                    throw new Error(`Checksum mismatch (expected ${expectedHash}, got ${digest})`);
+                }
+
+                fs.renameSync(tempPath, filepath);
+                console.log(`✅ Downloaded ${description}${expectedHash ? ` (${algorithm.toUpperCase()} verified)` : ''}`);
+                return { algorithm, digest };
+            } catch (error) {
+                if (attempt >= maxAttempts) {
+                    console.error(`❌ Error downloading ${description}:`, error.message);
+                    throw error;
+                }
+
+                const delay = Math.min(1000 * Math.pow(2, attempt - 1), 30000);
+                console.log(`⚠️  Download of ${description} failed (${error.message}), retrying in ${delay / 1000}s (attempt ${attempt + 1}/${maxAttempts})...`);
+                await this.sleep(delay);
+            }
+        }
+    }
+
+    downloadToFile(url, tempPath, redirects = 0) {
+        const https = require('https');
+        const http = require('http');
+        const client = url.startsWith('https') ? https : http;
+        const offset = fs.existsSync(tempPath) ? fs.statSync(tempPath).size : 0;
+
+        const headers = { 'User-Agent': 'minecraft-crossplay-server' };
+        if (offset > 0) {
+            headers.Range = `bytes=${offset}-`;
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = client.get(url, { timeout: 30000, headers }, (response) => {
+                const status = response.statusCode;
+
+                if ([301, 302, 303, 307, 308].includes(status) && response.headers.location) {
+                    response.resume();
+                    if (redirects >= 5) {
+                        return reject(new Error('Too many redirects'));
+                    }
+                    return this.downloadToFile(new URL(response.headers.location, url).toString(), tempPath, redirects + 1)
+                        .then(resolve)
+                        .catch(reject);
+                }
+
+                // Nothing left to fetch if the partial file already has every byte
+                if (status === 416 && offset > 0) {
+                    response.resume();
+                    const total = parseInt((response.headers['content-range'] || '').split('/')[1]);
+                    if (total === offset) {
+                        return resolve();
+                    }
+                    fs.rmSync(tempPath, { force: true });
+                    return reject(new Error('Partial download is invalid'));
+                }
+
+                if (status !== 200 && status !== 206) {
+                    response.resume();
+                    return reject(new Error(`HTTP ${status}: ${response.statusMessage}`));
+                }
+
+                // Only append a range that starts where the partial file ends;
+                // anything else would splice wrong bytes in, so start over
+                const range = (response.headers['content-range'] || '').match(/^bytes (\d+)-\d+\/(\d+|\*)$/);
+                if (status === 206 && (!range || parseInt(range[1]) !== offset)) {
+                    response.resume();
+                    fs.rmSync(tempPath, { force: true });
+                    return reject(new Error(`Server sent range "${response.headers['content-range'] || 'none'}" instead of bytes ${offset}-`));
+                }
+
+                // 200 means the server ignored our Range header, so start from scratch
+                const expectedSize = status === 206
+                    ? parseInt(range[2])
+                    : parseInt(response.headers['content-length']);
+
+                const file = fs.createWriteStream(tempPath, { flags: status === 206 ? 'a' : 'w' });
+                response.pipe(file);
+
+                response.on('error', (err) => {
+                    file.destroy();
+                    reject(err);
+                });
+
+                file.on('error', (err) => {
+                    response.destroy();
+                    reject(err);
+                });
+
+                file.on('finish', () => {
+                    const size = fs.statSync(tempPath).size;
+                    if (expectedSize && size < expectedSize) {
+                        reject(new Error(`Download incomplete (${size}/${expectedSize} bytes)`));
+                    } else {
+                        resolve();
+                    }
+                });
+            });
+
+            request.on('error', reject);
+
+            request.on('timeout', () => {
+                request.destroy(new Error('Download timeout'));
+            });
+        });
+    }
+
+    getHashAlgorithm(digest) {
+        return digest && digest.length === 128 ? 'sha512' : 'sha256';
+    }
+
+    hashFileSync(filepath, algorithm = 'sha256') {
+        return crypto.createHash(algorithm).update(fs.readFileSync(filepath)).digest('hex');
+    }
+
+    hashFile(filepath, algorithm = 'sha256') {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash(algorithm);
+            fs.createReadStream(filepath)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')))
+                .on('error', reject);
+        });
+    }
+
+    setupRoutes() {
+        // Status endpoint - Compatible with your HTML
+        this.app.get('/status', this.requireRole('viewer'), (req, res) => {
+            const uptime = this.startTime ? Math.floor((Date.now() - this.startTime) / 1000) : 0;
+            const { localIP, publicIP } = this.manager;
+            res.json({
+                instance: { id: this.id, name: this.name },
+                status: this.serverStatus,
+                running: this.minecraftProcess !== null,
+                ready: this.serverReady,
+                initialized: this.initializationComplete,
+                uptime: uptime,
+                localIP: localIP,
+                publicIP: publicIP,
+                javaPort: this.javaPort,
+                bedrockPort: this.bedrockPort,
+                memory: this.manager.getMemoryUsage(),
+                game: this.gameHealth,
+                supervisor: this.getSupervisorStatus(),
+                shutdown: this.shutdownState,
+                jvm: this.getJvmStatus(),
+                geyser: this.getGeyserStatus(),
+                rcon: this.getRconStatus(),
+                sleep: {
+                    enabled: this.idleSleepMinutes > 0,
+                    idleMinutes: this.idleSleepMinutes,
+                    sleeping: !!this.sleepListener,
+                    since: this.sleepingSince,
+                    idleSince: this.idleSince
+                },
+                pendingRestart: [...this.pendingPropertyChanges],
+                pendingJvmChange: this.pendingJvmChange,
+                pendingGeyserChange: this.pendingGeyserChange,
+                pendingPluginChanges: [...this.pendingPluginChanges],
+                stagedUpdates: this.loadUpdateState().staged.map(({ key, version, build }) => ({ key, version, build })),
+                players: {
+                    online: this.onlinePlayers.size,
+                    list: this.getOnlinePlayers().map(({ name, edition }) => ({ name, edition }))
+                },
+                backups: {
+                    inProgress: this.backupInProgress,
+                    restoring: this.restoreInProgress,
+                    schedule: this.backupSchedule,
+                    last: this.lastBackup
+                },
+                connections: {
+                    local: {
+                        java: `${localIP}:${this.javaPort}`,
+                        bedrock: `${localIP}:${this.bedrockPort}`
+                    },
+                    network: {
+                        java: `${localIP}:${this.javaPort}`,
+                        bedrock: `${localIP}:${this.bedrockPort}`
+                    },
+                    internet: publicIP && publicIP !== 'Unable to detect' ? {
+                        java: `${publicIP}:${this.javaPort}`,
+                        bedrock: `${publicIP}:${this.bedrockPort}`,
+                        note: this.manager.isProduction ? "Direct connection available" : "Port forwarding required"
+                    } : null
+                }
+            });
+        });
+
+        // Console history - returns buffered lines newer than ?since=<id>
+        this.app.get('/console', this.requireRole('operator'), (req, res) => {
+            const since = parseInt(req.query.since) || 0;
+            const limit = Math.min(parseInt(req.query.limit) || this.consoleBufferSize, this.consoleBufferSize);
+            const lines = this.getConsoleLines(since).slice(-limit);
+            res.json({
+                success: true,
+                lines: lines,
+                latest: this.consoleSequence
+            });
+        });
+
+        // Live console stream (Server-Sent Events)
+        this.app.get('/console/stream', this.requireRole('operator'), (req, res) => {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+
+            // Replay scrollback so reconnecting clients don't miss lines
+            const since = parseInt(req.headers['last-event-id'] || req.query.since) || 0;
+            for (const line of this.getConsoleLines(since)) {
+                this.writeConsoleEvent(res, line);
+            }
+
+            this.consoleClients.add(res);
+
+            const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+            req.on('close', () => {
+                clearInterval(heartbeat);
+                this.consoleClients.delete(res);
+            });
+        });
+
+        // Persisted logs: the manager's, this instance's and Paper's own logs/ folder
+        this.app.get('/logs', this.requireRole('operator'), (req, res) => {
+            res.json({
+                success: true,
+                files: this.listLogFiles().map(({ filePath, ...file }) => file)
+            });
+        });
+
+        this.app.get('/logs/search', this.requireRole('operator'), async (req, res) => {
+            let filters;
+            try {
+                filters = this.parseLogSearch(req.query);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
+            try {
+                const result = await this.searchLogs(filters);
+                res.json({
+                    success: true,
+                    total: result.total,
+                    truncated: result.total > result.matches.length,
+                    matches: result.matches
+                });
+            } catch (error) {
+                res.status(500).json({
+                    success: false,
+                    message: `Log search failed: ${error.message}`
+                });
+            }
+        });
+
+        this.app.post('/start', this.requireRole('operator'), (req, res) => {
+            if (this.serverStatus === 'starting' || this.serverStatus === 'online') {
+                return res.json({
+                    success: false,
+                    message: 'Server is already starting or running'
+                });
+            }
+
+            if (this.restoreInProgress) {
+                return res.json({
+                    success: false,
+                    message: 'A backup restore is in progress'
+                });
+            }
+
+            if (this.worldChangeInProgress) {
+                return res.json({
+                    success: false,
+                    message: 'A world change is in progress'
+                });
+            }
+
+            const conflicts = this.getPortConflicts();
+            if (conflicts.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Port conflict with a running instance',
+                    conflicts
+                });
+            }
+
+            this.startMinecraftServer();
+            res.json({
+                success: true,
+                message: 'Server is starting...',
+                status: 'starting'
+            });
+        });
+
+        this.app.post('/stop', this.requireRole('operator'), (req, res) => {
+            if (this.serverStatus === 'offline') {
+                return res.json({
+                    success: false,
+                    message: 'Server is already offline'
+                });
+            }
+
+            if (this.shutdownPromise) {
+                return res.json({
+                    success: false,
+                    message: `Server is already ${this.shutdownState.action}`
+                });
+            }
+
+            if (this.sleepListener) {
+                this.stopSleepListener();
+                return res.json({
+                    success: true,
+                    message: 'Sleep mode ended; the server stays offline until started',
+                    status: 'offline'
+                });
+            }
+
+            if (this.rconExternal) {
+                this.stopExternalServer();
+                return res.json({
+                    success: true,
+                    message: 'Stop sent over RCON to the externally started server',
+                    status: 'stopping'
+                });
+            }
+
+            const countdown = this.parseCountdown(req.body.delay);
+            if (countdown === null) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'delay must be a number of seconds between 0 and 3600'
+                });
+            }
+
+            this.stopMinecraftServer({ countdown });
+            res.json({
+                success: true,
+                message: 'Server is stopping...',
+                status: 'stopping'
+            });
+        });
+
+        this.app.post('/restart', this.requireRole('operator'), (req, res) => {
+            if (!this.minecraftProcess) {
+                return res.json({
+                    success: false,
+                    message: 'Server is not running'
+                });
+            }
+
+            if (this.shutdownPromise) {
+                return res.json({
+                    success: false,
+                    message: `Server is already ${this.shutdownState.action}`
+                });
+            }
+
+            const countdown = this.parseCountdown(req.body.delay);
+            if (countdown === null) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'delay must be a number of seconds between 0 and 3600'
+                });
+            }
+
+            this.restartMinecraftServer(countdown);
+            res.json({
+                success: true,
+                message: `Server will restart${countdown > 0 ? ` in ${countdown}s if players are online` : ''}`,
+                status: 'stopping'
+            });
+        });
+
+        this.app.post('/command', this.requireRole('admin'), (req, res) => {
+            const { command } = req.body;
+            if (this.serverStatus !== 'online' || !command) {
+                return res.json({
+                    success: false,
+                    message: 'Server must be online and command must be provided'
                 });
+            }
+
+            const timeout = Math.min(parseInt(req.body.timeout) || 5000, 30000);
+            const quietPeriod = Math.min(parseInt(req.body.quietPeriod) || 500, timeout);
+            const capture = this.runCommandWithCapture(command, { timeout, quietPeriod });
+
+            if (!capture) {
+                return res.json({
+                    success: false,
+                    message: 'Command could not be sent to the server'
+                });
+            }
+
+            if (req.body.async) {
+                return res.json({
+                    success: true,
+                    message: `Command sent: ${command}`,
+                    id: capture.result.id,
+                    status: capture.result.status
+                });
+            }
+
+            capture.promise.then((result) => {
+                res.json({
+                    success: true,
+                    message: `Command sent: ${command}`,
+                    id: result.id,
+                    status: result.status,
+                    output: result.output.map(line => line.text)
+                });
+            });
+        });
+
+        // Result of a previously sent command (see `async` option above)
+        this.app.get('/command/:id', this.requireRole('admin'), (req, res) => {
+            const result = this.commandResults.get(parseInt(req.params.id));
+            if (!result) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Command result not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                ...result,
+                output: result.output.map(line => line.text)
+            });
+        });
+
+        this.app.get('/players', this.requireRole('viewer'), (req, res) => {
+            res.json({
+                success: true,
+                count: this.onlinePlayers.size,
+                online: this.getOnlinePlayers(),
+                sessions: this.playerSessions.slice(-50).reverse(),
+                events: this.playerEvents.slice(-50).reverse()
+            });
+        });
+
+        // Player management. Changes go through the console so the running
+        // server stays authoritative; lists are read back from its JSON files.
+        this.app.get('/players/whitelist', this.requireRole('operator'), (req, res) => {
+            res.json({ success: true, entries: this.readServerJson('whitelist.json') });
+        });
+
+        this.app.post('/players/whitelist', this.requireRole('operator'), (req, res) => {
+            const player = this.normalizePlayerName(req.body.name);
+            if (!player) return this.rejectPlayerName(res);
+
+            // Floodgate players need Floodgate's own whitelist command, which
+            // takes the gamertag without the prefix
+            const command = player.edition === 'bedrock'
+                ? `fwhitelist add ${player.gamertag}`
+                : `whitelist add ${player.name}`;
+            this.sendPlayerCommand(res, command, 'whitelist.json');
+        });
+
+        this.app.delete('/players/whitelist/:name', this.requireRole('operator'), (req, res) => {
+            const player = this.normalizePlayerName(req.params.name);
+            if (!player) return this.rejectPlayerName(res);
+
+            const command = player.edition === 'bedrock'
+                ? `fwhitelist remove ${player.gamertag}`
+                : `whitelist remove ${player.name}`;
+            this.sendPlayerCommand(res, command, 'whitelist.json');
+        });
+
+        this.app.post('/players/whitelist/enabled', this.requireRole('operator'), (req, res) => {
+            this.sendPlayerCommand(res, `whitelist ${req.body.enabled ? 'on' : 'off'}`, 'whitelist.json');
+        });
+
+        this.app.get('/players/ops', this.requireRole('operator'), (req, res) => {
+            res.json({ success: true, entries: this.readServerJson('ops.json') });
+        });
+
+        this.app.post('/players/ops', this.requireRole('admin'), (req, res) => {
+            const player = this.normalizePlayerName(req.body.name);
+            if (!player) return this.rejectPlayerName(res);
+            this.sendPlayerCommand(res, `op ${player.name}`, 'ops.json');
+        });
+
+        this.app.delete('/players/ops/:name', this.requireRole('admin'), (req, res) => {
+            const player = this.normalizePlayerName(req.params.name);
+            if (!player) return this.rejectPlayerName(res);
+            this.sendPlayerCommand(res, `deop ${player.name}`, 'ops.json');
+        });
+
+        this.app.get('/players/bans', this.requireRole('operator'), (req, res) => {
+            res.json({
+                success: true,
+                players: this.readServerJson('banned-players.json'),
+                ips: this.readServerJson('banned-ips.json')
+            });
+        });
+
+        this.app.post('/players/bans', this.requireRole('operator'), (req, res) => {
+            const player = this.normalizePlayerName(req.body.name);
+            if (!player) return this.rejectPlayerName(res);
+            const reason = this.sanitizeReason(req.body.reason);
+            this.sendPlayerCommand(res, `ban ${player.name}${reason ? ' ' + reason : ''}`, 'banned-players.json');
+        });
+
+        this.app.delete('/players/bans/:name', this.requireRole('operator'), (req, res) => {
+            const player = this.normalizePlayerName(req.params.name);
+            if (!player) return this.rejectPlayerName(res);
+            this.sendPlayerCommand(res, `pardon ${player.name}`, 'banned-players.json');
+        });
+
+        // IP bans accept either an address or an online player's name
+        this.app.post('/players/ip-bans', this.requireRole('operator'), (req, res) => {
+            const target = this.normalizeBanTarget(req.body.target || req.body.ip || req.body.name);
+            if (!target) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A valid IP address or player name is required'
+                });
+            }
+            const reason = this.sanitizeReason(req.body.reason);
+            this.sendPlayerCommand(res, `ban-ip ${target}${reason ? ' ' + reason : ''}`, 'banned-ips.json');
+        });
+
+        this.app.delete('/players/ip-bans/:ip', this.requireRole('operator'), (req, res) => {
+            if (!net.isIP(req.params.ip)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A valid IP address is required'
+                });
+            }
+            this.sendPlayerCommand(res, `pardon-ip ${req.params.ip}`, 'banned-ips.json');
+        });
+
+        this.app.post('/players/:name/kick', this.requireRole('operator'), (req, res) => {
+            const player = this.normalizePlayerName(req.params.name);
+            if (!player) return this.rejectPlayerName(res);
+            const reason = this.sanitizeReason(req.body.reason);
+            this.sendPlayerCommand(res, `kick ${player.name}${reason ? ' ' + reason : ''}`);
+        });
+
+        this.app.get('/config/properties', this.requireRole('operator'), (req, res) => {
+            const schema = this.getPropertySchema();
+            const fields = {};
+            for (const [key, rule] of Object.entries(schema)) {
+                fields[key] = {
+                    type: rule.type,
+                    min: rule.min,
+                    max: rule.max,
+                    values: rule.values,
+                    readOnly: !!rule.readOnly,
+                    live: !!rule.live
+                };
+            }
+
+            res.json({
+                success: true,
+                properties: this.getTypedProperties(),
+                schema: fields,
+                pendingRestart: [...this.pendingPropertyChanges]
+            });
+        });
+
+        this.app.patch('/config/properties', this.requireRole('admin'), (req, res) => {
+            const result = this.updateServerProperties(req.body);
+            if (result.errors) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid properties',
+                    errors: result.errors
+                });
+            }
+
+            res.json({
+                success: true,
+                message: result.restartRequired.length > 0
+                    ? 'Properties saved. Restart the server to apply all changes.'
+                    : 'Properties saved',
+                ...result,
+                properties: this.getTypedProperties(),
+                pendingRestart: [...this.pendingPropertyChanges]
+            });
+        });
+
+        this.app.get('/config/jvm', this.requireRole('operator'), (req, res) => {
+            res.json({
+                success: true,
+                config: this.loadJvmConfig(),
+                presets: this.jvmPresets,
+                resolved: this.resolveJvmCommand(),
+                pendingRestart: this.pendingJvmChange
+            });
+        });
+
+        this.app.patch('/config/jvm', this.requireRole('admin'), async (req, res) => {
+            const allowed = ['javaPath', 'preset', 'maxMemory', 'minMemory', 'extraFlags'];
+            const unknown = Object.keys(req.body || {}).filter(key => !allowed.includes(key));
+            if (unknown.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Unknown JVM settings: ${unknown.join(', ')}`
+                });
+            }
+
+            const config = { ...this.loadJvmConfig(), ...req.body };
+            if (typeof config.extraFlags === 'string') {
+                config.extraFlags = config.extraFlags.split(/\s+/).filter(Boolean);
+            }
+
+            const errors = this.validateJvmConfig(config);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid JVM settings',
+                    errors
+                });
+            }
+
+            // Catch a wrong javaPath now rather than at the next start
+            this.javaVersionCache.delete(config.javaPath);
+            try {
+                await this.checkJavaVersion(config.javaPath);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
+            try {
+                this.saveJvmConfig(config);
+            } catch (error) {
+                return res.status(500).json({
+                    success: false,
+                    message: `Could not save JVM settings: ${error.message}`
+                });
+            }
+
+            if (this.minecraftProcess) {
+                this.pendingJvmChange = true;
+            }
+
+            res.json({
+                success: true,
+                message: this.minecraftProcess ? 'JVM settings saved. Restart the server to apply them.' : 'JVM settings saved',
+                config,
+                resolved: this.resolveJvmCommand(),
+                pendingRestart: this.pendingJvmChange
+            });
+        });
+
+        this.app.get('/config/geyser', this.requireRole('operator'), (req, res) => {
+            res.json({
+                success: true,
+                config: this.loadGeyserConfig(),
+                authTypes: this.geyserAuthTypes,
+                status: this.getGeyserStatus(),
+                pendingRestart: this.pendingGeyserChange
+            });
+        });
+
+        this.app.patch('/config/geyser', this.requireRole('admin'), (req, res) => {
+            const allowed = ['bedrockPort', 'bedrockAddress', 'authType', 'floodgatePrefix'];
+            const unknown = Object.keys(req.body || {}).filter(key => !allowed.includes(key));
+            if (unknown.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Unknown Geyser settings: ${unknown.join(', ')}`
+                });
+            }
+
+            const config = { ...this.loadGeyserConfig(), ...req.body };
+            if (typeof config.bedrockPort === 'string' && /^\d+$/.test(config.bedrockPort)) {
+                config.bedrockPort = parseInt(config.bedrockPort);
+            }
+
+            const errors = this.validateGeyserConfig(config);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid Geyser settings',
+                    errors
+                });
+            }
+
+            const conflicts = this.manager.findPortConflicts(
+                [{ port: config.bedrockPort, protocol: 'udp', use: 'bedrock' }], { exclude: this.id });
+            if (conflicts.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Port conflict with another instance',
+                    conflicts
+                });
+            }
+
+            try {
+                this.saveGeyserConfig(config);
+                if (this.minecraftProcess) {
+                    this.pendingGeyserChange = true;
+                } else {
+                    this.syncGeyserConfig();
+                }
+            } catch (error) {
+                return res.status(500).json({
+                    success: false,
+                    message: `Could not save Geyser settings: ${error.message}`
+                });
+            }
+
+            res.json({
+                success: true,
+                message: this.minecraftProcess ? 'Geyser settings saved. Restart the server to apply them.' : 'Geyser settings saved and applied',
+                config,
+                status: this.getGeyserStatus(),
+                pendingRestart: this.pendingGeyserChange
+            });
+        });
+
+        this.app.get('/manifest', this.requireRole('operator'), (req, res) => {
+            const state = this.loadUpdateState();
+            res.json({
+                success: true,
+                manifest: this.loadManifest(),
+                installed: state.installed,
+                staged: state.staged
+            });
+        });
+
+        this.app.put('/manifest', this.requireRole('admin'), (req, res) => {
+            const errors = this.validateManifest(req.body);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid manifest',
+                    errors: errors
+                });
+            }
+
+            fs.writeFileSync(this.manifestPath, JSON.stringify(req.body, null, 2) + '\n');
+            res.json({
+                success: true,
+                message: 'Manifest saved. Run an update to download the new versions.',
+                manifest: req.body
+            });
+        });
+
+        this.app.get('/updates', this.requireRole('operator'), async (req, res) => {
+            try {
+                const results = await this.checkForUpdates();
+                res.json({
+                    success: true,
+                    updates: results.map(({ artifact, ...rest }) => rest)
+                });
+            } catch (error) {
+                res.status(502).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
+
+        this.app.post('/updates', this.requireRole('admin'), async (req, res) => {
+            try {
+                const result = await this.stageUpdates();
+                res.json({
+                    success: true,
+                    message: result.staged.length > 0
+                        ? `Staged ${result.staged.length} update(s). Restart the server to apply them.`
+                        : 'Everything is up to date',
+                    ...result
+                });
+            } catch (error) {
+                res.status(409).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
+
+        this.app.get('/plugins', this.requireRole('operator'), (req, res) => {
+            res.json({
+                success: true,
+                plugins: this.listPlugins().map(({ path: filePath, ...plugin }) => plugin),
+                pendingRestart: [...this.pendingPluginChanges]
+            });
+        });
+
+        // Install from Hangar/Modrinth ({ source, project, version }) or from an
+        // uploaded jar sent as the raw request body with ?filename=
+        this.app.post('/plugins', this.requireRole('admin'),
+            express.raw({ type: ['application/java-archive', 'application/octet-stream', 'application/zip'], limit: '100mb' }),
+            async (req, res) => {
+                try {
+                    const plugin = Buffer.isBuffer(req.body)
+                        ? this.installUploadedPlugin(req.body, req.query.filename)
+                        : await this.installPluginFromSource(req.body);
+
+                    res.json({
+                        success: true,
+                        message: `Installed ${plugin.name}${this.minecraftProcess ? '. Restart the server to load it.' : ''}`,
+                        plugin: plugin,
+                        pendingRestart: [...this.pendingPluginChanges]
+                    });
+                } catch (error) {
+                    res.status(400).json({
+                        success: false,
+                        message: error.message
+                    });
+                }
+            });
+
+        this.app.delete('/plugins/:name', this.requireRole('admin'), (req, res) => {
+            const plugin = this.findPlugin(req.params.name);
+            if (!plugin) {
+                return res.status(404).json({ success: false, message: 'Plugin not found' });
+            }
+
+            fs.unlinkSync(plugin.path);
+            this.removeManifestPlugin(plugin.file);
+            this.markPluginChanged(plugin.name);
+
+            res.json({
+                success: true,
+                message: `Removed ${plugin.name}`,
+                pendingRestart: [...this.pendingPluginChanges]
+            });
+        });
+
+        this.app.post('/plugins/:name/:action(enable|disable)', this.requireRole('admin'), (req, res) => {
+            const plugin = this.findPlugin(req.params.name);
+            if (!plugin) {
+                return res.status(404).json({ success: false, message: 'Plugin not found' });
+            }
+
+            const enable = req.params.action === 'enable';
+            if (plugin.enabled === enable) {
+                return res.json({ success: false, message: `${plugin.name} is already ${enable ? 'enabled' : 'disabled'}` });
+            }
+
+            const targetDir = enable ? this.pluginsPath : path.join(this.pluginsPath, 'disabled');
+            fs.mkdirSync(targetDir, { recursive: true });
+            fs.renameSync(plugin.path, path.join(targetDir, plugin.file));
+            this.markPluginChanged(plugin.name);
+
+            res.json({
+                success: true,
+                message: `${plugin.name} ${enable ? 'enabled' : 'disabled'}`,
+                pendingRestart: [...this.pendingPluginChanges]
+            });
+        });
+
+        // File manager rooted at the server directory. Paths are relative to
+        // serverPath; everything here can change the server, so it is admin-only.
+        this.app.get('/files', this.requireRole('admin'), (req, res) => {
+            try {
+                const target = this.resolveServerFile(req.query.path);
+                if (!fs.statSync(target).isDirectory()) {
+                    throw new Error('Not a directory');
+                }
+
+                const entries = fs.readdirSync(target, { withFileTypes: true }).map((entry) => {
+                    const stats = fs.statSync(path.join(target, entry.name), { throwIfNoEntry: false });
+                    return {
+                        name: entry.name,
+                        type: entry.isDirectory() ? 'dir' : 'file',
+                        size: stats && entry.isFile() ? stats.size : null,
+                        modifiedAt: stats ? stats.mtimeMs : null,
+                        editable: entry.isFile() && this.isEditableFile(entry.name),
+                        protected: this.isProtectedFile(path.join(target, entry.name))
+                    };
+                }).sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'dir' ? -1 : 1));
+
+                res.json({
+                    success: true,
+                    path: this.relativeServerPath(target),
+                    entries
+                });
+            } catch (error) {
+                this.sendFileError(res, error);
+            }
+        });
+
+        this.app.get('/files/content', this.requireRole('admin'), (req, res) => {
+            try {
+                const target = this.resolveServerFile(req.query.path);
+                const stats = fs.statSync(target);
+                if (!stats.isFile()) {
+                    throw new Error('Not a file');
+                }
+                if (stats.size > this.fileEditMaxBytes) {
+                    throw new Error(`File is larger than ${Math.round(this.fileEditMaxBytes / 1024)}KB, download it instead`);
+                }
+
+                const buffer = fs.readFileSync(target);
+                if (buffer.includes(0)) {
+                    throw new Error('Binary file, download it instead');
+                }
+
+                res.json({
+                    success: true,
+                    path: this.relativeServerPath(target),
+                    content: buffer.toString('utf8'),
+                    modifiedAt: stats.mtimeMs
+                });
+            } catch (error) {
+                this.sendFileError(res, error);
+            }
+        });
+
+        this.app.put('/files/content', this.requireRole('admin'), (req, res) => {
+            try {
+                const { content } = req.body || {};
+                if (typeof content !== 'string') {
+                    throw new Error('content must be a string');
+                }
+                if (Buffer.byteLength(content) > this.fileEditMaxBytes) {
+                    throw new Error(`Content is larger than ${Math.round(this.fileEditMaxBytes / 1024)}KB`);
+                }
+
+                const target = this.resolveServerFile(req.body.path);
+                this.assertFileWritable(target);
+
+                const errors = this.checkFileSyntax(target, content);
+                if (errors.length > 0) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Syntax check failed, file not saved',
+                        errors
+                    });
+                }
+
+                const before = this.readServerProperties().values;
+                this.writeFileAtomic(target, content);
+                this.trackServerPropertiesEdit(target, before);
+                res.json({
+                    success: true,
+                    message: `Saved ${this.relativeServerPath(target)}`,
+                    pendingRestart: [...this.pendingPropertyChanges]
+                });
+            } catch (error) {
+                this.sendFileError(res, error);
+            }
+        });
+
+        this.app.get('/files/download', this.requireRole('admin'), (req, res) => {
+            try {
+                const target = this.resolveServerFile(req.query.path);
+                if (!fs.statSync(target).isFile()) {
+                    throw new Error('Only files can be downloaded');
+                }
+                res.download(path.resolve(target));
+            } catch (error) {
+                this.sendFileError(res, error);
+            }
+        });
+
+        this.app.post('/files/upload', this.requireRole('admin'),
+            express.raw({ type: () => true, limit: this.fileUploadLimit }),
+            (req, res) => {
+                try {
+                    const name = req.query.filename;
+                    if (typeof name !== 'string' || !name || name !== path.basename(name) || name === '.' || name === '..') {
+                        throw new Error('A plain filename is required');
+                    }
+                    if (!Buffer.isBuffer(req.body)) {
+                        throw new Error('Upload the file as the raw request body');
+                    }
+
+                    const directory = this.resolveServerFile(req.query.path);
+                    if (!fs.statSync(directory).isDirectory()) {
+                        throw new Error('Upload target is not a directory');
+                    }
+
+                    const target = this.resolveServerFile(path.join(this.relativeServerPath(directory), name));
+                    this.assertFileWritable(target);
+                    this.writeFileAtomic(target, req.body);
+                    res.json({
+                        success: true,
+                        message: `Uploaded ${this.relativeServerPath(target)} (${req.body.length} bytes)`
+                    });
+                } catch (error) {
+                    this.sendFileError(res, error);
+                }
+            });
+
+        this.app.post('/files/rename', this.requireRole('admin'), (req, res) => {
+            try {
+                const { from, to } = req.body || {};
+                const source = this.resolveServerFile(from);
+                const target = this.resolveServerFile(to);
+                if (source === path.resolve(this.serverPath)) {
+                    throw new Error('The server directory itself cannot be renamed');
+                }
+                if (fs.existsSync(target)) {
+                    throw new Error('Target already exists');
+                }
+                fs.statSync(source);
+                this.assertFileWritable(source);
+                this.assertFileWritable(target);
+
+                fs.renameSync(source, target);
+                res.json({
+                    success: true,
+                    message: `Renamed ${this.relativeServerPath(source)} to ${this.relativeServerPath(target)}`
+                });
+            } catch (error) {
+                this.sendFileError(res, error);
+            }
+        });
+
+        this.app.post('/files/mkdir', this.requireRole('admin'), (req, res) => {
+            try {
+                const target = this.resolveServerFile((req.body || {}).path);
+                if (fs.existsSync(target)) {
+                    throw new Error('Target already exists');
+                }
+                fs.mkdirSync(target, { recursive: true });
+                res.json({
+                    success: true,
+                    message: `Created ${this.relativeServerPath(target)}`
+                });
+            } catch (error) {
+                this.sendFileError(res, error);
+            }
+        });
+
+        // Non-empty directories need ?recursive=true
+        this.app.delete('/files', this.requireRole('admin'), (req, res) => {
+            try {
+                const target = this.resolveServerFile(req.query.path);
+                if (target === path.resolve(this.serverPath)) {
+                    throw new Error('The server directory itself cannot be deleted');
+                }
+
+                const stats = fs.statSync(target);
+                this.assertFileWritable(target);
+                if (stats.isDirectory() && fs.readdirSync(target).length > 0 && req.query.recursive !== 'true') {
+                    throw new Error('Directory is not empty (pass recursive=true to delete it)');
+                }
+
+                fs.rmSync(target, { recursive: true });
+                res.json({
+                    success: true,
+                    message: `Deleted ${this.relativeServerPath(target)}`
+                });
+            } catch (error) {
+                this.sendFileError(res, error);
+            }
+        });
+
+        this.app.get('/crashes', this.requireRole('operator'), (req, res) => {
+            const crashes = this.loadCrashes().reverse();
+            res.json({
+                success: true,
+                supervisor: this.getSupervisorStatus(),
+                crashes: crashes.map(crash => ({
+                    id: crash.id,
+                    time: crash.time,
+                    exitCode: crash.exitCode,
+                    signal: crash.signal,
+                    uptimeSeconds: crash.uptimeSeconds,
+                    crashReport: crash.crashReport ? crash.crashReport.file : null,
+                    lastLine: crash.lastLines[crash.lastLines.length - 1] || null
+                }))
+            });
+        });
+
+        this.app.get('/crashes/:id', this.requireRole('operator'), (req, res) => {
+            const crash = this.loadCrashes().find(entry => entry.id === req.params.id);
+            if (!crash) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Crash not found'
+                });
+            }
+            res.json({ success: true, crash: crash });
+        });
+
+        // Prometheus scrape endpoint; use a viewer API token as the bearer
+        this.app.get('/metrics', this.requireRole('viewer'), (req, res) => {
+            res.type('text/plain; version=0.0.4').send(this.getPrometheusMetrics());
+        });
+
+        this.app.get('/metrics/history', this.requireRole('viewer'), (req, res) => {
+            const since = parseInt(req.query.since) || 0;
+            const limit = Math.min(parseInt(req.query.limit) || this.metricsHistorySize, this.metricsHistorySize);
+            res.json({
+                success: true,
+                interval: this.metricsSampleInterval,
+                latest: this.latestMetrics,
+                history: this.metricsHistory.filter(sample => sample.time > since).slice(-limit)
+            });
+        });
+
+        this.app.get('/backups', this.requireRole('operator'), (req, res) => {
+            res.json({
+                success: true,
+                inProgress: this.backupInProgress,
+                restoring: this.restoreInProgress,
+                schedule: this.backupSchedule,
+                retention: {
+                    count: this.backupRetentionCount,
+                    days: this.backupRetentionDays
+                },
+                backups: this.listBackups()
+            });
+        });
+
+        this.app.post('/backups', this.requireRole('operator'), async (req, res) => {
+            if (this.restoreInProgress) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'A backup restore is in progress'
+                });
+            }
+
+            try {
+                const backup = await this.createBackup('manual');
+                res.json({
+                    success: true,
+                    message: `Backup ${backup.id} created`,
+                    backup: backup
+                });
+            } catch (error) {
+                res.status(409).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
+
+        this.app.post('/backups/:id/restore', this.requireRole('admin'), async (req, res) => {
+            try {
+                await this.restoreBackup(req.params.id);
+                res.json({
+                    success: true,
+                    message: `Backup ${req.params.id} restored`
+                });
+            } catch (error) {
+                res.status(409).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+        });
+
+        this.app.get('/worlds', this.requireRole('operator'), (req, res) => {
+            res.json({
+                success: true,
+                active: this.getServerProperty('level-name') || 'world',
+                locked: this.getWorldLockReason(),
+                worlds: this.listWorlds()
+            });
+        });
+
+        this.app.get('/worlds/:name/download', this.requireRole('admin'), async (req, res) => {
+            try {
+                this.assertWorldsUnlocked();
+                const name = this.parseWorldName(req.params.name);
+                const folders = this.getWorldFolders(name);
+                if (folders.length === 0) {
+                    throw this.fileError('World not found', 404);
+                }
+                await this.sendWorldZip(res, name, folders);
+            } catch (error) {
+                this.sendFileError(res, error);
+            }
+        });
+
+        // Raw zip body; ?name= picks the folder, otherwise the zip's top folder is used
+        this.app.post('/worlds/upload', this.requireRole('admin'), async (req, res) => {
+            try {
+                this.assertWorldsUnlocked();
+                if (!req.is(['application/zip', 'application/x-zip-compressed', 'application/octet-stream'])) {
+                    throw this.fileError('Upload the world zip as the raw request body (application/zip)', 415);
+                }
+                // Refuse early when the client says up front that it is too large
+                if (parseInt(req.headers['content-length']) > this.worldUploadLimit) {
+                    throw this.fileError(`Upload is larger than the ${Math.round(this.worldUploadLimit / 1024 / 1024)}MB limit`, 413);
+                }
+
+                const world = await this.installUploadedWorld(req, req.query.name);
+                res.json({
+                    success: true,
+                    message: `World ${world.name} uploaded`,
+                    world
+                });
+            } catch (error) {
+                this.sendFileError(res, error);
+            }
+        });
+
+        this.app.post('/worlds/:name/reset', this.requireRole('admin'), async (req, res) => {
+            try {
+                this.assertWorldsUnlocked();
+                const name = this.parseWorldName(req.params.name);
+                const { seed } = req.body || {};
+                const regenerates = await this.resetWorld(name, seed);
+                let message = `World ${name} deleted`;
+                if (regenerates) {
+                    message = seed === undefined
+                        ? `World ${name} reset, a new one is generated on the next start`
+                        : `World ${name} reset with seed "${seed}", a new one is generated on the next start`;
+                }
+                res.json({
+                    success: true,
+                    message: message,
+                    worlds: this.listWorlds()
+                });
+            } catch (error) {
+                this.sendFileError(res, error);
+            }
+        });
+
+        this.app.post('/worlds/:name/activate', this.requireRole('admin'), (req, res) => {
+            try {
+                this.assertWorldsUnlocked();
+                const name = this.parseWorldName(req.params.name);
+                if (!fs.existsSync(path.join(this.serverPath, name, 'level.dat'))) {
+                    throw this.fileError('World not found', 404);
+                }
+
+                this.writeServerProperties({ 'level-name': name });
+                console.log(`🌍 ${this.name}: active world set to ${name}`);
+                res.json({
+                    success: true,
+                    message: `${name} will load on the next start`,
+                    active: name,
+                    worlds: this.listWorlds()
+                });
+            } catch (error) {
+                this.sendFileError(res, error);
+            }
+        });
+
+        this.app.get('/schedules', this.requireRole('operator'), (req, res) => {
+            res.json({
+                success: true,
+                types: this.scheduleTypes,
+                schedules: this.schedules.map(task => this.getScheduleInfo(task))
+            });
+        });
+
+        // Scheduled commands run with console rights, so only admins manage tasks
+        this.app.post('/schedules', this.requireRole('admin'), (req, res) => {
+            const body = req.body || {};
+            const task = {
+                id: crypto.randomBytes(6).toString('hex'),
+                name: typeof body.name === 'string' ? body.name.trim() : body.name,
+                cron: body.cron,
+                type: body.type,
+                whenOffline: body.whenOffline || 'skip',
+                enabled: body.enabled !== false,
+                createdAt: Date.now(),
+                lastRun: null
+            };
+            if (body.type === 'command') task.command = typeof body.command === 'string' ? body.command.trim() : body.command;
+            if (body.type === 'broadcast') task.message = typeof body.message === 'string' ? body.message.trim() : body.message;
+            if (body.type === 'restart' && body.delay !== undefined) task.delay = body.delay;
+
+            const errors = this.validateSchedule(task);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid schedule',
+                    errors
+                });
+            }
+
+            this.schedules.push(task);
+            this.saveSchedules();
+            res.json({
+                success: true,
+                message: `Scheduled "${task.name}"`,
+                schedule: this.getScheduleInfo(task)
+            });
+        });
+
+        this.app.delete('/schedules/:id', this.requireRole('admin'), (req, res) => {
+            const index = this.schedules.findIndex(task => task.id === req.params.id);
+            if (index === -1) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Schedule not found'
+                });
+            }
+
+            const [task] = this.schedules.splice(index, 1);
+            this.queuedTasks.delete(task.id);
+            this.saveSchedules();
+            res.json({
+                success: true,
+                message: `Deleted schedule "${task.name}"`
+            });
+        });
+    }
+
+    getConsoleLines(since = 0) {
+        return this.consoleBuffer.filter(line => line.id > since);
+    }
+
+    appendConsoleLine(stream, text) {
+        const line = {
+            id: ++this.consoleSequence,
+            time: Date.now(),
+            stream: stream,
+            text: text
+        };
+
+        this.serverLog.write(this.getServerLineLevel(stream, text), stream === 'command' ? `> ${text}` : text);
+
+        this.consoleBuffer.push(line);
+        if (this.consoleBuffer.length > this.consoleBufferSize) {
+            this.consoleBuffer.splice(0, this.consoleBuffer.length - this.consoleBufferSize);
+        }
+
+        for (const client of this.consoleClients) {
+            this.writeConsoleEvent(client, line);
+        }
+
+        for (const listener of this.consoleListeners) {
+            listener(line);
+        }
+
+        return line;
+    }
+
+    listLogFiles() {
+        const files = [
+            ...this.manager.managerLog.listFiles().map(file => ({ source: 'manager', ...file })),
+            ...this.serverLog.listFiles().map(file => ({ source: 'server', ...file }))
+        ];
+
+        // Paper keeps logs/latest.log and rolls it into logs/<date>-<n>.log.gz
+        const paperLogs = path.join(this.serverPath, 'logs');
+        if (fs.existsSync(paperLogs)) {
+            for (const name of fs.readdirSync(paperLogs).filter(entry => /\.log(\.gz)?$/.test(entry)).sort()) {
+                const filePath = path.join(paperLogs, name);
+                const stats = fs.statSync(filePath);
+                files.push({
+                    source: 'paper',
+                    name: name,
+                    filePath: filePath,
+                    size: stats.size,
+                    modifiedAt: stats.mtimeMs,
+                    compressed: name.endsWith('.gz')
+                });
+            }
+        }
+
+        return files;
+    }
+
+    parseLogSearch(query) {
+        const parseTime = (value, name) => {
+            if (value === undefined || value === '') return null;
+            const time = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+            if (Number.isNaN(time)) {
+                throw new Error(`${name} must be an ISO date or a timestamp in milliseconds`);
+            }
+            return time;
+        };
+
+        const levels = ['DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'];
+        const level = query.level ? String(query.level).toUpperCase() : null;
+        if (level && !levels.includes(level)) {
+            throw new Error(`level must be one of ${levels.join(', ')}`);
+        }
+
+        const sources = ['manager', 'server', 'paper'];
+        if (query.source && !sources.includes(query.source)) {
+            throw new Error(`source must be one of ${sources.join(', ')}`);
+        }
+
+        return {
+            query: query.q ? String(query.q).toLowerCase() : null,
+            level: level,
+            from: parseTime(query.from, 'from'),
+            to: parseTime(query.to, 'to'),
+            source: query.source || null,
+            limit: Math.min(parseInt(query.limit) || 200, 1000)
+        };
+    }
+
+    // Scans files oldest first and keeps the newest `limit` matches. Lines
+    // without a timestamp (stack traces, wrapped output) inherit the time
+    // and level of the line before them.
+    async searchLogs(filters) {
+        const files = this.listLogFiles()
+            .filter(file => !filters.source || file.source === filters.source)
+            .filter(file => filters.from === null || file.modifiedAt >= filters.from)
+            .sort((a, b) => a.modifiedAt - b.modifiedAt);
+
+        const matches = [];
+        let total = 0;
+
+        for (const file of files) {
+            const input = file.compressed
+                ? pipeline(fs.createReadStream(file.filePath), zlib.createGunzip(), () => {})
+                : fs.createReadStream(file.filePath);
+            const state = { time: null, level: null, day: this.getPaperLogDay(file), lastSecond: 0 };
+            let lineNumber = 0;
+
+            try {
+                for await (const text of readline.createInterface({ input, crlfDelay: Infinity })) {
+                    lineNumber++;
+                    this.parseLogLine(file.source, text, state);
+
+                    if (filters.level && state.level !== filters.level) continue;
+                    if (filters.from !== null && (state.time === null || state.time < filters.from)) continue;
+                    if (filters.to !== null && state.time !== null && state.time > filters.to) continue;
+                    if (filters.query && !text.toLowerCase().includes(filters.query)) continue;
+
+                    total++;
+                    matches.push({
+                        source: file.source,
+                        file: file.name,
+                        line: lineNumber,
+                        time: state.time,
+                        level: state.level,
+                        text: text
+                    });
+                    if (matches.length > filters.limit) {
+                        matches.shift();
+                    }
+                }
+            } catch (error) {
+                console.log(`⚠️  Skipped unreadable log ${file.name}: ${error.message}`);
+            }
+        }
+
+        return { total, matches };
+    }
+
+    // Paper log lines only carry a time of day; the date comes from the
+    // archive name (2024-05-01-1.log.gz) or, for latest.log, its creation time
+    getPaperLogDay(file) {
+        if (file.source !== 'paper') return null;
+        const match = file.name.match(/^(\d{4})-(\d{2})-(\d{2})-\d+\.log/);
+        if (match) {
+            return new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])).getTime();
+        }
+        const stats = fs.statSync(file.filePath);
+        const created = new Date(stats.birthtimeMs || stats.mtimeMs);
+        return new Date(created.getFullYear(), created.getMonth(), created.getDate()).getTime();
+    }
+
+    parseLogLine(source, text, state) {
+        if (source !== 'paper') {
+            // Written by RotatingLog: "[2024-05-01T12:00:00.000Z] [INFO] ..."
+            const match = text.match(/^\[(\d{4}-\d{2}-\d{2}T[^\]]+)\] \[([A-Z]+)\]/);
+            if (match) {
+                state.time = Date.parse(match[1]);
+                state.level = match[2];
+            }
+            return;
+        }
+
+        // "[12:34:56] [Server thread/INFO]: ..."
+        const match = text.match(/^\[(\d{2}):(\d{2}):(\d{2})\] \[[^\]]*\/([A-Z]+)\]/);
+        if (!match) return;
+        const second = parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseInt(match[3]);
+        // The clock jumping back by more than an hour means the log ran past midnight
+        if (second < state.lastSecond - 3600) {
+            const nextDay = new Date(state.day);
+            nextDay.setDate(nextDay.getDate() + 1);
+            state.day = nextDay.getTime();
+        }
+        state.lastSecond = second;
+        state.time = new Date(state.day).setHours(0, 0, second);
+        state.level = match[4];
+    }
+
+    // Paper prefixes stdout lines with "[12:34:56 INFO]:"; stderr has no level of its own
+    getServerLineLevel(stream, text) {
+        if (stream === 'stderr') {
+            return /ERROR|FATAL|Exception|OutOfMemoryError/.test(text) ? 'ERROR' : 'WARN';
+        }
+        const match = text.match(/^\[\d{2}:\d{2}:\d{2} ([A-Z]+)\]/);
+        return match ? match[1] : 'INFO';
+    }
+
+    writeConsoleEvent(res, line) {
+        try {
+            res.write(`id: ${line.id}\ndata: ${JSON.stringify(line)}\n\n`);
+        } catch (error) {
+            this.consoleClients.delete(res);
+        }
+    }
+
+    listPlugins() {
+        const plugins = [];
+        const folders = [
+            { dir: this.pluginsPath, enabled: true },
+            { dir: path.join(this.pluginsPath, 'disabled'), enabled: false }
+        ];
+
+        const manifestFiles = new Map(this.loadManifest().plugins.map(plugin => [plugin.file, plugin]));
+
+        for (const { dir, enabled } of folders) {
+            if (!fs.existsSync(dir)) continue;
+
+            for (const file of fs.readdirSync(dir)) {
+                if (!file.endsWith('.jar')) continue;
+
+                const filePath = path.join(dir, file);
+                const stats = fs.statSync(filePath);
+                const metadata = this.readPluginMetadata(filePath, stats);
+                const managed = manifestFiles.get(file);
+
+                plugins.push({
+                    name: metadata.name || file.replace(/\.jar$/, ''),
+                    version: metadata.version || null,
+                    description: metadata.description || null,
+                    authors: metadata.authors || [],
+                    file: file,
+                    path: filePath,
+                    size: stats.size,
+                    enabled: enabled,
+                    source: managed ? managed.source : 'manual',
+                    error: metadata.error || undefined
+                });
+            }
+        }
+
+        return plugins.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    findPlugin(name) {
+        const lower = String(name).toLowerCase();
+        return this.listPlugins().find(plugin =>
+            plugin.file.toLowerCase() === lower ||
+            plugin.file.toLowerCase() === `${lower}.jar` ||
+            plugin.name.toLowerCase() === lower) || null;
+    }
+
+    isPluginDisabled(entry) {
+        return entry.kind === 'plugin' && fs.existsSync(path.join(this.pluginsPath, 'disabled', entry.file));
+    }
+
+    markPluginChanged(name) {
+        this.pluginMetadataCache.clear();
+        if (this.minecraftProcess) {
+            this.pendingPluginChanges.add(name);
+        }
+    }
+
+    // Reads name/version/etc. from the plugin.yml (or paper-plugin.yml) inside a jar
+    readPluginMetadata(filePath, stats) {
+        const cacheKey = `${filePath}:${stats.size}:${stats.mtimeMs}`;
+        if (this.pluginMetadataCache.has(cacheKey)) {
+            return this.pluginMetadataCache.get(cacheKey);
+        }
+
+        let metadata;
+        try {
+            metadata = this.parsePluginYaml(this.readPluginDescriptor(fs.readFileSync(filePath)));
+        } catch (error) {
+            metadata = { error: error.message };
+        }
+
+        this.pluginMetadataCache.set(cacheKey, metadata);
+        return metadata;
+    }
+
+    readPluginDescriptor(buffer) {
+        const entries = this.readZipEntries(buffer);
+        const entry = entries.find(candidate => candidate.name === 'plugin.yml') ||
+            entries.find(candidate => candidate.name === 'paper-plugin.yml');
+        if (!entry) {
+            throw new Error('Jar does not contain a plugin.yml');
+        }
+        return this.readZipEntry(buffer, entry).toString('utf8');
+    }
+
+    // Only the top-level scalar keys of plugin.yml are needed here
+    parsePluginYaml(text) {
+        const metadata = {};
+        const unquote = value => value.trim().replace(/^(['"])(.*)\1$/, '$2');
+
+        for (const line of text.split(/\r?\n/)) {
+            const match = line.match(/^(name|version|description|main|api-version|author|authors):\s*(.*)$/);
+            if (!match) continue;
+
+            const [, key, value] = match;
+            if (key === 'authors' || key === 'author') {
+                const list = value.trim().replace(/^\[|\]$/g, '');
+                metadata.authors = list ? list.split(',').map(unquote).filter(Boolean) : [];
+            } else {
+                metadata[key === 'api-version' ? 'apiVersion' : key] = unquote(value);
+            }
+        }
+
+        return metadata;
+    }
+
+    // Minimal ZIP reader: walks the central directory and returns entry headers
+    readZipEntries(buffer) {
+        const end = this.findZipEnd(buffer);
+        return this.parseZipDirectory(buffer, buffer.readUInt32LE(end + 16), buffer.readUInt16LE(end + 10));
+    }
+
+    readZipEntry(buffer, entry, maxBytes = this.zipEntryMaxBytes) {
+        const offset = entry.localOffset;
+        if (offset + 30 > buffer.length || buffer.readUInt32LE(offset) !== 0x04034b50) {
+            throw new Error(`Corrupt zip entry ${entry.name}`);
+        }
+
+        const start = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+        return this.inflateZipEntry(entry, buffer.subarray(start, start + entry.compressedSize), maxBytes);
+    }
+
+    // Same as readZipEntries for an archive on disk, reading only the end
+    // record and the central directory
+    async readZipFileEntries(handle) {
+        const { size } = await handle.stat();
+        const tail = await this.readZipFileRange(handle, Math.max(0, size - 65557), Math.min(size, 65557));
+        const end = this.findZipEnd(tail);
+        const directory = await this.readZipFileRange(handle, tail.readUInt32LE(end + 16), tail.readUInt32LE(end + 12));
+        return this.parseZipDirectory(directory, 0, tail.readUInt16LE(end + 10));
+    }
+
+    async readZipFileEntry(handle, entry, maxBytes = this.zipEntryMaxBytes) {
+        const header = await this.readZipFileRange(handle, entry.localOffset, 30);
+        if (header.readUInt32LE(0) !== 0x04034b50) {
+            throw new Error(`Corrupt zip entry ${entry.name}`);
+        }
+
+        const start = entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+        return this.inflateZipEntry(entry, await this.readZipFileRange(handle, start, entry.compressedSize), maxBytes);
+    }
+
+    async readZipFileRange(handle, position, length) {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, position);
+        if (bytesRead !== length) {
+            throw new Error('Corrupt zip file (unexpected end of data)');
+        }
+        return buffer;
+    }
+
+    findZipEnd(buffer) {
+        const minEnd = Math.max(0, buffer.length - 65557);
+        for (let i = buffer.length - 22; i >= minEnd; i--) {
+            if (buffer.readUInt32LE(i) === 0x06054b50) {
+                return i;
+            }
+        }
+        throw new Error('Not a valid zip/jar file');
+    }
+
+    parseZipDirectory(buffer, offset, count) {
+        const entries = [];
+
+        for (let i = 0; i < count; i++) {
+            if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+                throw new Error('Corrupt zip central directory');
+            }
+
+            const nameLength = buffer.readUInt16LE(offset + 28);
+            const extraLength = buffer.readUInt16LE(offset + 30);
+            const commentLength = buffer.readUInt16LE(offset + 32);
+            const entry = {
+                name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+                method: buffer.readUInt16LE(offset + 10),
+                compressedSize: buffer.readUInt32LE(offset + 20),
+                size: buffer.readUInt32LE(offset + 24),
+                localOffset: buffer.readUInt32LE(offset + 42)
+            };
+            if ([entry.compressedSize, entry.size, entry.localOffset].includes(0xFFFFFFFF)) {
+                throw new Error('Zip64 archives are not supported');
+            }
+
+            entries.push(entry);
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    // The declared size bounds the output, so a crafted entry cannot inflate
+    // past it (zip bombs) and nothing over maxBytes is ever allocated
+    inflateZipEntry(entry, data, maxBytes) {
+        if (entry.size > maxBytes) {
+            throw new Error(`Zip entry ${entry.name} is too large (${entry.size} bytes)`);
+        }
+
+        let output;
+        if (entry.method === 0) {
+            output = data;
+        } else if (entry.method === 8) {
+            try {
+                output = zlib.inflateRawSync(data, { maxOutputLength: Math.max(entry.size, 1) });
+            } catch (error) {
+                throw new Error(`Corrupt zip entry ${entry.name}: ${error.message}`);
+            }
+        } else {
+            throw new Error(`Unsupported zip compression method ${entry.method}`);
+        }
+
+        if (output.length !== entry.size) {
+            throw new Error(`Corrupt zip entry ${entry.name} (size mismatch)`);
+        }
+        return output;
+    }
+
+    installUploadedPlugin(buffer, filename) {
+        const metadata = this.parsePluginYaml(this.readPluginDescriptor(buffer));
+        if (!metadata.name) {
+            throw new Error('plugin.yml does not declare a name');
+        }
+
+        const file = this.getPluginFileName(filename || metadata.name);
+        const target = path.join(this.pluginsPath, file);
+        if (this.findPlugin(file) || this.findPlugin(metadata.name)) {
+            throw new Error(`${metadata.name} is already installed`);
+        }
+
+        fs.mkdirSync(this.pluginsPath, { recursive: true });
+        fs.writeFileSync(`${target}.part`, buffer);
+        fs.renameSync(`${target}.part`, target);
+        this.markPluginChanged(metadata.name);
+
+        console.log(`🧩 Installed uploaded plugin ${metadata.name} ${metadata.version || ''}`);
+        return { name: metadata.name, version: metadata.version || null, file: file, source: 'upload' };
+    }
+
+    async installPluginFromSource(body) {
+        const { source, project } = body || {};
+        if (!['hangar', 'modrinth'].includes(source) || !/^[\w\-]{1,64}$/.test(project || '')) {
+            throw new Error('Provide a source (hangar or modrinth) and project id, or upload a jar');
+        }
+
+        const manifest = this.loadManifest();
+        const entry = {
+            name: project.replace(/[^\w\-]/g, ''),
+            source: source,
+            project: project,
+            version: body.version || 'latest',
+            file: this.getPluginFileName(project)
+        };
+
+        if (manifest.plugins.some(plugin => plugin.name === entry.name || plugin.file === entry.file) ||
+            this.findPlugin(entry.file)) {
+            throw new Error(`${project} is already installed`);
+        }
+
+        const artifact = await this.resolveArtifact({ key: entry.name, kind: 'plugin', label: entry.name, ...entry });
+        const target = path.join(this.pluginsPath, entry.file);
+
+        fs.mkdirSync(this.pluginsPath, { recursive: true });
+        await this.downloadFile(artifact.url, target, `${entry.name} ${artifact.version}`, artifact.sha256 || artifact.sha512);
+
+        try {
+            this.readPluginDescriptor(fs.readFileSync(target));
+        } catch (error) {
+            fs.unlinkSync(target);
+            throw new Error(`Downloaded file is not a Paper plugin: ${error.message}`);
+        }
+
+        // Track it in the manifest so it gets updates like the built-in plugins
+        manifest.plugins.push(entry);
+        fs.writeFileSync(this.manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+        this.recordInstalledArtifact(artifact);
+        this.markPluginChanged(entry.name);
+
+        console.log(`🧩 Installed ${entry.name} ${artifact.version} from ${source}`);
+        return { name: entry.name, version: artifact.version, file: entry.file, source: source };
+    }
+
+    removeManifestPlugin(file) {
+        const manifest = this.loadManifest();
+        const remaining = manifest.plugins.filter(plugin => plugin.file !== file);
+        if (remaining.length !== manifest.plugins.length) {
+            manifest.plugins = remaining;
+            fs.writeFileSync(this.manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+        }
+    }
+
+    getPluginFileName(name) {
+        const base = path.basename(String(name)).replace(/\.jar$/i, '').replace(/[^\w.\-]/g, '_').slice(0, 64);
+        if (!base || base.startsWith('.')) {
+            throw new Error('Invalid plugin file name');
+        }
+        return `${base}.jar`;
+    }
+
+    // Resolves a client path inside serverPath, refusing anything that escapes
+    // it, either lexically ("../") or through a symlink
+    resolveServerFile(relativePath) {
+        if (relativePath !== undefined && typeof relativePath !== 'string') {
+            throw this.fileError('Invalid path', 400);
+        }
+        if ((relativePath || '').includes('\0')) {
+            throw this.fileError('Invalid path', 400);
+        }
+
+        const root = path.resolve(this.serverPath);
+        const target = path.resolve(root, (relativePath || '').replace(/^[/\\]+/, ''));
+        if (target !== root && !target.startsWith(root + path.sep)) {
+            throw this.fileError('Path is outside the server directory', 403);
+        }
+
+        // Check the deepest existing ancestor's real location
+        const realRoot = fs.realpathSync(root);
+        let existing = target;
+        while (!fs.existsSync(existing) && existing !== root) {
+            existing = path.dirname(existing);
+        }
+        const realExisting = fs.realpathSync(existing);
+        if (realExisting !== realRoot && !realExisting.startsWith(realRoot + path.sep)) {
+            throw this.fileError('Path is outside the server directory', 403);
+        }
+
+        return target;
+    }
+
+    relativeServerPath(target) {
+        return path.relative(path.resolve(this.serverPath), target).split(path.sep).join('/');
+    }
+
+    fileError(message, status) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+
+    sendFileError(res, error) {
+        const status = error.status || (error.code === 'ENOENT' ? 404 : 400);
+        res.status(status).json({
+            success: false,
+            message: error.code === 'ENOENT' ? 'File not found' : error.message
+        });
+    }
+
+    isEditableFile(name) {
+        return /\.(ya?ml|properties|json|txt|conf|cfg|toml|ini|md|sk|js|csv)$/i.test(name);
+    }
+
+    // World lock and region files must not be touched while the server has them open
+    isProtectedFile(target) {
+        if (!this.minecraftProcess) return false;
+
+        const name = path.basename(target);
+        if (name === 'session.lock' || /\.(mca|mcc)$/i.test(name)) {
+            return true;
+        }
+
+        try {
+            if (fs.statSync(target).isDirectory()) {
+                return this.directoryContainsProtectedFiles(target);
+            }
+        } catch (error) {
+            // Does not exist yet
+        }
+        return false;
+    }
+
+    directoryContainsProtectedFiles(directory) {
+        for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+            if (entry.name === 'session.lock' || /\.(mca|mcc)$/i.test(entry.name)) return true;
+            if (entry.isDirectory() && this.directoryContainsProtectedFiles(path.join(directory, entry.name))) return true;
+        }
+        return false;
+    }
+
+    assertFileWritable(target) {
+        if (this.isProtectedFile(target)) {
+            throw this.fileError('World lock and region files cannot be changed while the server is running', 409);
+        }
+    }
+
+    // Write to a temp file first so a failed write never leaves a truncated config
+    writeFileAtomic(target, content) {
+        const tempPath = `${target}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        try {
+            fs.writeFileSync(tempPath, content);
+            fs.renameSync(tempPath, target);
+        } finally {
+            fs.rmSync(tempPath, { force: true });
+        }
+    }
+
+    checkFileSyntax(target, content) {
+        const name = path.basename(target).toLowerCase();
+
+        if (/\.ya?ml$/.test(name)) {
+            return this.checkYamlSyntax(content);
+        }
+        if (name.endsWith('.json')) {
+            try {
+                JSON.parse(content);
+                return [];
+            } catch (error) {
+                return [error.message];
+            }
+        }
+        if (name.endsWith('.properties')) {
+            return this.checkPropertiesSyntax(content, path.resolve(target) === path.resolve(this.serverPath, 'server.properties'));
+        }
+        return [];
+    }
+
+    checkPropertiesSyntax(content, isServerProperties) {
+        const errors = [];
+        content.split(/\r?\n/).forEach((line, index) => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('!')) return;
+            if (!/^((?:\\.|[^=:\\])*?)\s*[=:]/.test(trimmed)) {
+                errors.push(`Line ${index + 1}: expected key=value`);
+            }
+        });
+
+        if (isServerProperties && errors.length === 0) {
+            const schema = this.getPropertySchema();
+            const { values } = this.parseProperties(content);
+            for (const [key, value] of Object.entries(values)) {
+                if (!schema[key]) continue;
+                try {
+                    this.coerceProperty(key, value, schema);
+                } catch (error) {
+                    errors.push(error.message);
+                }
+            }
+            if (values['server-port'] !== undefined && values['server-port'] !== String(this.javaPort)) {
+                errors.push(`server-port is managed by the manager and must stay ${this.javaPort}`);
+            }
+        }
+        return errors;
+    }
+
+    // Structural YAML check without a YAML library: tabs, unbalanced quotes and
+    // brackets, and indentation that doesn't follow a mapping key or list item
+    checkYamlSyntax(content) {
+        const errors = [];
+        const stack = [0];
+        let blockScalarIndent = null;
+        let previous = null;
+
+        content.split(/\r?\n/).forEach((line, index) => {
+            const number = index + 1;
+            if (/^\s*$/.test(line) || /^\s*#/.test(line) || /^(---|\.\.\.)\s*$/.test(line)) return;
+
+            const indent = line.match(/^ */)[0].length;
+            if (/^ *\t/.test(line)) {
+                errors.push(`Line ${number}: tabs are not allowed for indentation`);
+                return;
+            }
+
+            // Literal/folded block contents are free-form until the indentation drops back
+            if (blockScalarIndent !== null) {
+                if (indent > blockScalarIndent) return;
+                blockScalarIndent = null;
+            }
+
+            const text = this.stripYamlComment(line.trim());
+            if (text === null) {
+                errors.push(`Line ${number}: unterminated quoted string`);
+                return;
+            }
+
+            let depth = 0;
+            for (const char of text.replace(/"(?:\\.|[^"\\])*"|'(?:''|[^'])*'/g, '')) {
+                if (char === '[' || char === '{') depth++;
+                if (char === ']' || char === '}') depth--;
+            }
+            if (depth !== 0) {
+                errors.push(`Line ${number}: unbalanced brackets`);
+            }
+
+            const isListItem = /^-( |$)/.test(text);
+            const body = isListItem ? text.replace(/^-\s*/, '') : text;
+            const isKey = /^(?:"(?:\\.|[^"\\])*"|'(?:''|[^'])*'|[^\s"'#][^:#]*?)\s*:(\s|$)/.test(body);
+
+            // A deeper line without a key continues a multi-line plain value
+            if (indent > stack[stack.length - 1] && previous && previous.plainValue && !isKey && !isListItem) {
+                return;
+            }
+
+            if (indent > stack[stack.length - 1]) {
+                if (!previous || !previous.opensBlock) {
+                    errors.push(`Line ${number}: unexpected indentation`);
+                }
+                stack.push(indent);
+            } else {
+                while (indent < stack[stack.length - 1]) stack.pop();
+                if (indent !== stack[stack.length - 1]) {
+                    errors.push(`Line ${number}: indentation does not match any outer level`);
+                    stack.push(indent);
+                }
+            }
+
+            if (!isListItem && !isKey) {
+                errors.push(`Line ${number}: expected "key: value" or a list item`);
+            }
+
+            if (/[|>][-+]?\d*$/.test(body) && /:\s+[|>]/.test(` ${body}`)) {
+                blockScalarIndent = indent;
+            }
+            previous = {
+                opensBlock: /:$/.test(body) || (isListItem && (body === '' || isKey)),
+                plainValue: /:\s+[^\s"'\[{|>&*!]/.test(body) || (isListItem && !isKey && /^[^\s"'\[{|>&*!]/.test(body))
+            };
+        });
+
+        return errors;
+    }
+
+    // Returns the line without a trailing comment, or null if a quote is left open
+    stripYamlComment(text) {
+        let quote = null;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quote === '"' && char === '\\') {
+                i++;
+            } else if (quote) {
+                if (char === quote) {
+                    if (quote === "'" && text[i + 1] === "'") i++;
+                    else quote = null;
+                }
+            } else if ((char === '"' || char === "'") && (i === 0 || /[\s:\[{,-]/.test(text[i - 1]))) {
+                quote = char;
+            } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+                return text.slice(0, i).trimEnd();
+            }
+        }
+        return quote ? null : text;
+    }
+
+    // Edits to server.properties while running only apply after a restart
+    trackServerPropertiesEdit(target, before) {
+        if (!this.minecraftProcess || path.resolve(target) !== path.resolve(this.serverPath, 'server.properties')) return;
+
+        const after = this.readServerProperties().values;
+        for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+            if (before[key] !== after[key]) {
+                this.pendingPropertyChanges.add(key);
+            }
+        }
+    }
+
+    getWorldFolders(levelName = this.getServerProperty('level-name') || 'world') {
+        return [levelName, `${levelName}_nether`, `${levelName}_the_end`]
+            .filter(folder => fs.existsSync(path.join(this.serverPath, folder)));
+    }
+
+    // A world is any folder holding a level.dat; Paper's separate nether and
+    // end folders are listed as dimensions of their overworld
+    listWorlds() {
+        const active = this.getServerProperty('level-name') || 'world';
+        const folders = fs.readdirSync(this.serverPath, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && fs.existsSync(path.join(this.serverPath, entry.name, 'level.dat')))
+            .map(entry => entry.name);
+
+        return folders
+            .filter((folder) => {
+                const base = folder.replace(/_(nether|the_end)$/, '');
+                return base === folder || !folders.includes(base);
+            })
+            .map((name) => {
+                const dimensions = this.getWorldFolders(name);
+                let sizeBytes = 0;
+                let modifiedAt = 0;
+                for (const folder of dimensions) {
+                    const stats = this.getDirectoryStats(path.join(this.serverPath, folder));
+                    sizeBytes += stats.size;
+                    modifiedAt = Math.max(modifiedAt, stats.modifiedAt);
+                }
+
+                return {
+                    name: name,
+                    active: name === active,
+                    sizeBytes: sizeBytes,
+                    sizeMB: Math.round(sizeBytes / 1024 / 1024 * 10) / 10,
+                    modifiedAt: modifiedAt || null,
+                    dimensions: dimensions.map(folder => folder === name ? 'overworld' : folder.slice(name.length + 1))
+                };
+            })
+            .sort((a, b) => b.active - a.active || a.name.localeCompare(b.name));
+    }
+
+    // Total size and newest modification time of the files under a folder
+    getDirectoryStats(directory) {
+        const result = { size: 0, modifiedAt: 0 };
+        const pending = [directory];
+
+        while (pending.length > 0) {
+            const current = pending.pop();
+            for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+                const target = path.join(current, entry.name);
+                if (entry.isDirectory()) {
+                    pending.push(target);
+                } else if (entry.isFile()) {
+                    const stats = fs.statSync(target);
+                    result.size += stats.size;
+                    result.modifiedAt = Math.max(result.modifiedAt, Math.floor(stats.mtimeMs));
+                }
+            }
+        }
+
+        return result;
+    }
+
+    // World names follow the level-name rules so any world can be activated
+    parseWorldName(name) {
+        try {
+            return this.coerceProperty('level-name', name, this.getPropertySchema());
+        } catch (error) {
+            throw this.fileError('Invalid world name', 400);
+        }
+    }
+
+    // Worlds are only touched while nothing can have their files open
+    getWorldLockReason() {
+        if (this.minecraftProcess || this.rconExternal || this.serverStatus !== 'offline') {
+            return 'Stop the server before changing worlds';
+        }
+        if (this.sleepListener) {
+            return 'The server is sleeping; stop it before changing worlds';
+        }
+        if (this.backupInProgress || this.restoreInProgress || this.worldChangeInProgress) {
+            return 'A backup, restore or world change is in progress';
+        }
+        return null;
+    }
+
+    assertWorldsUnlocked() {
+        const reason = this.getWorldLockReason();
+        if (reason) {
+            throw this.fileError(reason, 409);
+        }
+    }
+
+    // Streams a world's folders as a zip built here, the counterpart of the
+    // zip reader. Files are deflated one at a time so memory stays bounded by
+    // the largest file; without zip64 the archive must stay under 4GB.
+    async sendWorldZip(res, name, folders) {
+        const files = folders.flatMap(folder => this.listZipFiles(folder));
+        if (files.length > 0xFFFF) {
+            throw this.fileError('World has too many files to download as a zip', 413);
+        }
+
+        // Hold the lock while streaming so nothing starts the server or
+        // rewrites the world mid-download; writeZip stops when the client leaves
+        res.attachment(`${name}.zip`);
+        this.worldChangeInProgress = true;
+        try {
+            await this.writeZip(res, files);
+            res.end();
+        } catch (error) {
+            console.error(`❌ Download of world ${name} failed: ${error.message}`);
+            res.destroy();
+        } finally {
+            this.worldChangeInProgress = false;
+        }
+    }
+
+    // Paths relative to serverPath, with zip-style forward slashes
+    listZipFiles(folder) {
+        const files = [];
+        const pending = [folder];
+
+        while (pending.length > 0) {
+            const current = pending.pop();
+            for (const entry of fs.readdirSync(path.join(this.serverPath, current), { withFileTypes: true })) {
+                const relative = `${current}/${entry.name}`;
+                if (entry.isDirectory()) {
+                    pending.push(relative);
+                } else if (entry.isFile() && entry.name !== 'session.lock') {
+                    files.push(relative);
+                }
+            }
+        }
+
+        return files;
+    }
+
+    async writeZip(output, names) {
+        const deflateRaw = util.promisify(zlib.deflateRaw);
+        const directory = [];
+        let offset = 0;
+
+        const write = async (chunk) => {
+            if (output.destroyed) {
+                throw new Error('Client disconnected');
+            }
+            offset += chunk.length;
+            if (!output.write(chunk)) {
+                await new Promise((resolve) => {
+                    const done = () => {
+                        output.off('drain', done);
+                        output.off('close', done);
+                        resolve();
+                    };
+                    output.on('drain', done);
+                    output.on('close', done);
+                });
+            }
+        };
+
+        for (const name of names) {
+            const filePath = path.join(this.serverPath, name);
+            const [data, stats] = await Promise.all([fs.promises.readFile(filePath), fs.promises.stat(filePath)]);
+            const deflated = await deflateRaw(data);
+            const stored = deflated.length >= data.length;
+            const body = stored ? data : deflated;
+            if (offset + 30 + Buffer.byteLength(name) + body.length > 0xFFFFFFFF) {
+                throw new Error('World is too large to download as a zip (4GB limit)');
+            }
+
+            const headers = this.buildZipHeaders({
+                name: name,
+                method: stored ? 0 : 8,
+                crc: this.crc32(data),
+                compressedSize: body.length,
+                size: data.length,
+                modifiedAt: stats.mtime,
+                localOffset: offset
+            });
+            directory.push(headers.central);
+            await write(headers.local);
+            await write(body);
+        }
+
+        const directoryOffset = offset;
+        const directoryBuffer = Buffer.concat(directory);
+        if (directoryOffset + directoryBuffer.length > 0xFFFFFFFF) {
+            throw new Error('World is too large to download as a zip (4GB limit)');
+        }
+        await write(directoryBuffer);
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(directory.length, 8);
+        end.writeUInt16LE(directory.length, 10);
+        end.writeUInt32LE(directoryBuffer.length, 12);
+        end.writeUInt32LE(directoryOffset, 16);
+        await write(end);
+    }
+
+    // Local file header and central directory record for one entry; the
+    // offsets are the ones parseZipDirectory reads back
+    buildZipHeaders(entry) {
+        const name = Buffer.from(entry.name, 'utf8');
+        const date = entry.modifiedAt;
+        const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+        const dosDate = (Math.max(date.getFullYear() - 1980, 0) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+        // Version 2.0, bit 11 marks the names as UTF-8
+        const local = Buffer.alloc(30 + name.length);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x0800, 6);
+        local.writeUInt16LE(entry.method, 8);
+        local.writeUInt16LE(dosTime, 10);
+        local.writeUInt16LE(dosDate, 12);
+        local.writeUInt32LE(entry.crc, 14);
+        local.writeUInt32LE(entry.compressedSize, 18);
+        local.writeUInt32LE(entry.size, 22);
+        local.writeUInt16LE(name.length, 26);
+        name.copy(local, 30);
+
+        const central = Buffer.alloc(46 + name.length);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(entry.method, 10);
+        central.writeUInt16LE(dosTime, 12);
+        central.writeUInt16LE(dosDate, 14);
+        central.writeUInt32LE(entry.crc, 16);
+        central.writeUInt32LE(entry.compressedSize, 20);
+        central.writeUInt32LE(entry.size, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(entry.localOffset, 42);
+        name.copy(central, 46);
+
+        return { local, central };
+    }
+
+    crc32(data) {
+        if (zlib.crc32) return zlib.crc32(data);
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = CRC32_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // Streams the request body to a temporary zip next to the worlds, then
+    // unpacks it into a staging folder and moves the world in only once
+    // everything extracted
+    async installUploadedWorld(req, requestedName) {
+        const stagingDir = path.join(this.serverPath, `.world-upload-${Date.now()}`);
+        const archive = `${stagingDir}.zip`;
+        let handle = null;
+
+        this.worldChangeInProgress = true;
+        try {
+            await this.receiveUpload(req, archive, this.worldUploadLimit);
+            handle = await fs.promises.open(archive, 'r');
+            const { name, files, folders } = this.planWorldUpload(await this.readZipFileEntries(handle), requestedName);
+
+            for (const file of files) {
+                const target = path.join(stagingDir, file.folder, file.relative);
+                await fs.promises.mkdir(path.dirname(target), { recursive: true });
+                await fs.promises.writeFile(target, await this.readZipFileEntry(handle, file.entry));
+            }
+            for (const folder of folders) {
+                fs.renameSync(path.join(stagingDir, folder), path.join(this.serverPath, folder));
+            }
+
+            console.log(`🌍 ${this.name}: uploaded world ${name} (${files.length} files)`);
+            return this.listWorlds().find(world => world.name === name);
+        } finally {
+            if (handle) await handle.close();
+            fs.rmSync(archive, { force: true });
+            fs.rmSync(stagingDir, { recursive: true, force: true });
+            this.worldChangeInProgress = false;
+        }
+    }
+
+    // Writes a request body to a file, failing once it passes `limit` bytes
+    receiveUpload(req, target, limit) {
+        let received = 0;
+        const counter = new Transform({
+            transform: (chunk, encoding, callback) => {
+                received += chunk.length;
+                if (received > limit) {
+                    return callback(this.fileError(`Upload is larger than the ${Math.round(limit / 1024 / 1024)}MB limit`, 413));
+                }
+                callback(null, chunk);
+            }
+        });
+
+        return new Promise((resolve, reject) => {
+            pipeline(req, counter, fs.createWriteStream(target), (error) => {
+                if (error) return reject(error);
+                if (received === 0) return reject(this.fileError('Upload the world zip as the raw request body', 400));
+                resolve(received);
+            });
+        });
+    }
+
+    // Accepts a zip with level.dat at its root, or inside one top folder as
+    // the download route makes it (with optional _nether/_the_end folders).
+    // Works out the target world and which entries land where.
+    planWorldUpload(zipEntries, requestedName) {
+        const entries = zipEntries.filter(entry => !entry.name.startsWith('__MACOSX/'));
+
+        for (const entry of entries) {
+            if (entry.name.startsWith('/') || /[\\\0]/.test(entry.name) || entry.name.split('/').includes('..')) {
+                throw this.fileError(`Zip entry ${entry.name} has an unsafe path`, 400);
+            }
+        }
+
+        const levelFiles = entries.map(entry => entry.name).filter(name => /^([^/]+\/)?level\.dat$/.test(name));
+        if (levelFiles.length === 0) {
+            throw this.fileError('Zip does not contain a world (level.dat missing)', 400);
+        }
+
+        // Prefer the overworld folder when the zip also carries its dimensions
+        const root = levelFiles.includes('level.dat') ? '' : (
+            levelFiles.find(name => !/_(nether|the_end)\//.test(name)) || levelFiles[0]
+        ).split('/')[0];
+        if (!requestedName && !root) {
+            throw this.fileError('A world name is required for a zip without a top folder', 400);
+        }
+        const name = this.parseWorldName(requestedName || root);
+
+        const targets = new Map([[root, name], [`${root}_nether`, `${name}_nether`], [`${root}_the_end`, `${name}_the_end`]]);
+        const files = [];
+        for (const entry of entries) {
+            if (entry.name.endsWith('/') || path.posix.basename(entry.name) === 'session.lock') continue;
+
+            const [top, ...rest] = entry.name.split('/');
+            const folder = root ? targets.get(top) : name;
+            const relative = root ? rest.join('/') : entry.name;
+            if (folder && relative) {
+                files.push({ entry, folder, relative });
+            }
+        }
+
+        const folders = [...new Set(files.map(file => file.folder))];
+        const existing = folders.filter(folder => fs.existsSync(path.join(this.serverPath, folder)));
+        if (existing.length > 0) {
+            throw this.fileError(`${existing.join(', ')} already exists; reset it or choose another name`, 409);
+        }
+
+        const unpacked = files.reduce((total, file) => total + file.entry.size, 0);
+        if (unpacked > this.worldUnpackedLimit) {
+            throw this.fileError(`World unpacks to ${Math.round(unpacked / 1024 / 1024)}MB, over the ${Math.round(this.worldUnpackedLimit / 1024 / 1024)}MB limit`, 413);
+        }
+
+        return { name, files, folders };
+    }
+
+    // Deletes a world; the active one is regenerated on the next start and
+    // backed up first, as a restore does. Resolves true for the active world.
+    async resetWorld(name, seed) {
+        const folders = this.getWorldFolders(name);
+        if (folders.length === 0) {
+            throw this.fileError('World not found', 404);
+        }
+
+        const active = name === (this.getServerProperty('level-name') || 'world');
+        let levelSeed;
+        if (seed !== undefined) {
+            if (!active) {
+                throw this.fileError('A seed can only be set when resetting the active world', 400);
+            }
+            try {
+                levelSeed = this.coerceProperty('level-seed', seed, this.getPropertySchema());
+            } catch (error) {
+                throw this.fileError(error.message, 400);
+            }
+        }
+
+        this.worldChangeInProgress = true;
+        try {
+            if (active) {
+                await this.createBackup('pre-reset');
+            }
+            for (const folder of folders) {
+                fs.rmSync(path.join(this.serverPath, folder), { recursive: true, force: true });
+            }
+            if (levelSeed !== undefined) {
+                this.writeServerProperties({ 'level-seed': levelSeed });
+            }
+            console.log(`🌍 ${this.name}: world ${name} reset${levelSeed ? ` with seed ${levelSeed}` : ''}`);
+        } finally {
+            this.worldChangeInProgress = false;
+        }
+        return active;
+    }
+
+    listBackups() {
+        if (!fs.existsSync(this.backupPath)) return [];
+
+        return fs.readdirSync(this.backupPath)
+            .filter(file => /^backup-[\w-]+\.tar\.gz$/.test(file))
+            .map(file => this.getBackupInfo(file.replace(/\.tar\.gz$/, '')))
+            .filter(Boolean)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    getBackupInfo(id) {
+        if (!/^backup-[\w-]+$/.test(id)) return null;
+
+        const file = path.join(this.backupPath, `${id}.tar.gz`);
+        if (!fs.existsSync(file)) return null;
+
+        const stats = fs.statSync(file);
+        return {
+            id: id,
+            file: `${id}.tar.gz`,
+            size: stats.size,
+            sizeMB: Math.round(stats.size / 1024 / 1024 * 10) / 10,
+            createdAt: Math.floor(stats.mtimeMs)
+        };
+    }
+
+    // `keep` names a backup retention must not remove, e.g. one being restored
+    async createBackup(reason = 'manual', keep = null) {
+        if (this.backupInProgress) {
+            throw new Error('A backup is already in progress');
+        }
+
+        const folders = this.getWorldFolders();
+        if (folders.length === 0) {
+            throw new Error('No world folders found to back up');
+        }
+
+        this.backupInProgress = true;
+        const savingDisabled = this.serverStatus === 'online' && this.serverReady;
+        let archive = null;
+
+        try {
+            if (!fs.existsSync(this.backupPath)) {
+                fs.mkdirSync(this.backupPath, { recursive: true });
+            }
+
+            console.log(`💾 Starting ${reason} backup of ${folders.join(', ')}...`);
+
+            // Flush chunks to disk and keep the server from writing while we archive
+            if (savingDisabled) {
+                this.executeCommand('save-off');
+                const saved = this.waitForConsoleLine(/Saved the game/, 60000);
+                this.executeCommand('save-all flush');
+                if (!await saved) {
+                    console.log('⚠️  Timed out waiting for save-all, archiving anyway');
+                }
+            }
+
+            const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+            const id = reason === 'manual' ? `backup-${stamp}` : `backup-${stamp}-${reason}`;
+            archive = path.resolve(this.backupPath, `${id}.tar.gz`);
+
+            // Write to a partial file first so an interrupted backup never looks complete
+            await this.runProcess('tar', ['-czf', `${archive}.partial`, '--exclude=session.lock', ...folders], {
+                cwd: this.serverPath
+            });
+            fs.renameSync(`${archive}.partial`, archive);
+
+            this.lastBackup = this.getBackupInfo(id);
+            console.log(`✅ Backup ${id} created (${this.lastBackup.sizeMB}MB)`);
+            this.notify('backup-completed', `Backup ${id} created (${this.lastBackup.sizeMB}MB)`, { id, reason, sizeMB: this.lastBackup.sizeMB });
+
+            this.applyBackupRetention(keep);
+            return this.lastBackup;
+        } catch (error) {
+            console.error('❌ Backup failed:', error.message);
+            this.notify('backup-failed', `Backup failed: ${error.message}`, { reason });
+            if (archive) {
+                fs.rmSync(`${archive}.partial`, { force: true });
+            }
+            throw error;
+        } finally {
+            if (savingDisabled && this.serverReady) {
+                this.executeCommand('save-on');
+            }
+            this.backupInProgress = false;
+        }
+    }
+
+    applyBackupRetention(keep = null) {
+        const backups = this.listBackups();
+        const maxAge = this.backupRetentionDays * 24 * 60 * 60 * 1000;
+
+        backups.forEach((backup, index) => {
+            const tooMany = index >= this.backupRetentionCount;
+            const tooOld = maxAge > 0 && Date.now() - backup.createdAt > maxAge;
+
+            // Always keep the newest backup, whatever the rules say
+            if (index > 0 && backup.id !== keep && (tooMany || tooOld)) {
+                fs.unlinkSync(path.join(this.backupPath, backup.file));
+                console.log(`🗑️  Removed old backup ${backup.id}`);
+            }
+        });
+    }
+
+    async restoreBackup(id) {
+        const backup = this.getBackupInfo(id);
+        if (!backup) {
+            throw new Error('Backup not found');
+        }
+
+        if (this.restoreInProgress || this.backupInProgress || this.worldChangeInProgress) {
+            throw new Error('A backup, restore or world change is already in progress');
+        }
+
+        this.restoreInProgress = true;
+        const wasRunning = this.minecraftProcess !== null;
+        const restoreDir = path.join(this.serverPath, `.restore-${Date.now()}`);
+
+        try {
+            console.log(`♻️  Restoring backup ${id}...`);
+
+            if (wasRunning) {
+                await this.stopMinecraftServer({ action: 'restoring a backup' });
+            }
+
+            // Keep the current worlds recoverable in case the restore was a mistake
+            if (this.getWorldFolders().length > 0) {
+                await this.createBackup('pre-restore', id);
+            }
+
+            fs.mkdirSync(restoreDir, { recursive: true });
+            await this.runProcess('tar', ['-xzf', path.resolve(this.backupPath, backup.file), '-C', restoreDir]);
+
+            const folders = fs.readdirSync(restoreDir);
+            if (!folders.some(folder => fs.existsSync(path.join(restoreDir, folder, 'level.dat')))) {
+                throw new Error('Backup archive does not contain a world (level.dat missing)');
+            }
+
+            for (const folder of folders) {
+                const target = path.join(this.serverPath, folder);
+                fs.rmSync(target, { recursive: true, force: true });
+                fs.renameSync(path.join(restoreDir, folder), target);
+            }
+
+            console.log(`✅ Backup ${id} restored`);
+        } finally {
+            fs.rmSync(restoreDir, { recursive: true, force: true });
+            this.restoreInProgress = false;
+
+            // Restart even when the restore failed so it never leaves the server offline
+            if (wasRunning) {
+                this.startMinecraftServer();
+            }
+        }
+    }
+
+    startBackupSchedule() {
+        if (!this.backupSchedule) return;
+
+        let cron;
+        try {
+            cron = this.parseCronExpression(this.backupSchedule);
+        } catch (error) {
+            console.log(`⚠️  Invalid BACKUP_SCHEDULE "${this.backupSchedule}": ${error.message}`);
+            this.backupSchedule = null;
+            return;
+        }
+
+        console.log(`💾 Automatic backups scheduled: ${this.backupSchedule}`);
+
+        // Tick at the start of every minute and check the cron expression
+        const tick = () => {
+            if (this.cronMatches(cron, new Date()) && !this.restoreInProgress) {
+                this.createBackup('scheduled').catch(() => {});
+            }
+            this.backupTimer = setTimeout(tick, 60000 - (Date.now() % 60000));
+        };
+        this.backupTimer = setTimeout(tick, 60000 - (Date.now() % 60000));
+    }
+
+    // Minimal 5-field cron parser: minute hour day-of-month month day-of-week.
+    // Supports *, lists, ranges and steps (e.g. "*/15 2-5 * * 1,3").
+    parseCronExpression(expression) {
+        const fields = String(expression).trim().split(/\s+/);
+        if (fields.length !== 5) {
+            throw new Error('Cron expression must have 5 fields');
+        }
+
+        const ranges = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+        const [minutes, hours, days, months, weekdays] = fields.map((field, index) =>
+            this.parseCronField(field, ranges[index][0], ranges[index][1]));
+
+        // Both 0 and 7 mean Sunday
+        if (weekdays.has(7)) {
+            weekdays.add(0);
+        }
+
+        // With only the day of month restricted, some listed month must have
+        // one of the listed days ("0 0 31 2 *" would never run)
+        const monthLengths = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+        if (fields[2] !== '*' && fields[4] === '*' &&
+            ![...months].some(month => [...days].some(day => day <= monthLengths[month - 1]))) {
+            throw new Error('Cron expression never fires: none of its months has that day of month');
+        }
+
+        return {
+            minutes, hours, days, months, weekdays,
+            dayRestricted: fields[2] !== '*',
+            weekdayRestricted: fields[4] !== '*'
+        };
+    }
+
+    parseCronField(field, min, max) {
+        const values = new Set();
+
+        for (const part of field.split(',')) {
+            const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+            if (!match) {
+                throw new Error(`Invalid cron field "${field}"`);
+            }
+
+            const start = match[1] === '*' ? min : parseInt(match[2]);
+            let end = match[1] === '*' ? max : (match[3] !== undefined ? parseInt(match[3]) : start);
+            const step = match[4] !== undefined ? parseInt(match[4]) : 1;
+
+            // "5/15" means "from 5 to the end of the range every 15"
+            if (match[4] !== undefined && match[1] !== '*' && match[3] === undefined) {
+                end = max;
+            }
+
+            if (start < min || end > max || start > end || step < 1) {
+                throw new Error(`Cron field "${field}" is out of range ${min}-${max}`);
+            }
+
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        }
+
+        return values;
+    }
+
+    cronMatches(cron, date) {
+        return cron.minutes.has(date.getMinutes()) && cron.hours.has(date.getHours()) &&
+            cron.months.has(date.getMonth() + 1) && this.cronDayMatches(cron, date);
+    }
+
+    // Like classic cron, a restricted day-of-month OR day-of-week matches
+    cronDayMatches(cron, date) {
+        const dayMatch = cron.days.has(date.getDate());
+        const weekdayMatch = cron.weekdays.has(date.getDay());
+        if (cron.dayRestricted && cron.weekdayRestricted) {
+            return dayMatch || weekdayMatch;
+        }
+        return dayMatch && weekdayMatch;
+    }
+
+    getNextCronRun(cron, from = new Date()) {
+        const start = new Date(from.getTime());
+        start.setSeconds(0, 0);
+        start.setMinutes(start.getMinutes() + 1);
+
+        const hours = [...cron.hours].sort((a, b) => a - b);
+        const minutes = [...cron.minutes].sort((a, b) => a - b);
+        const day = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+        // Leap days can be eight years apart (2096 to 2104)
+        const horizon = new Date(day.getFullYear() + 8, day.getMonth(), day.getDate());
+
+        // Skip whole months and days that can't match before looking at times
+        while (day < horizon) {
+            if (!cron.months.has(day.getMonth() + 1)) {
+                day.setMonth(day.getMonth() + 1, 1);
+                continue;
+            }
+            if (this.cronDayMatches(cron, day)) {
+                for (const hour of hours) {
+                    for (const minute of minutes) {
+                        const date = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute);
+                        // Times inside a DST gap shift to another hour and fail the match
+                        if (date >= start && this.cronMatches(cron, date)) {
+                            return date;
+                        }
+                    }
+                }
+            }
+            day.setDate(day.getDate() + 1);
+        }
+        return null;
+    }
+
+    loadSchedules() {
+        try {
+            const schedulesPath = path.join(this.dataPath, 'schedules.json');
+            if (fs.existsSync(schedulesPath)) {
+                return JSON.parse(fs.readFileSync(schedulesPath, 'utf8'));
+            }
+        } catch (error) {
+            console.log('⚠️  Could not load schedules:', error.message);
+        }
+        return [];
+    }
+
+    saveSchedules() {
+        try {
+            if (!fs.existsSync(this.dataPath)) {
+                fs.mkdirSync(this.dataPath, { recursive: true });
+            }
+            fs.writeFileSync(path.join(this.dataPath, 'schedules.json'), JSON.stringify(this.schedules, null, 2));
+        } catch (error) {
+            console.log('⚠️  Could not save schedules:', error.message);
+        }
+    }
+
+    validateSchedule(task) {
+        const errors = [];
+
+        if (typeof task.name !== 'string' || !task.name.trim() || task.name.length > 64) {
+            errors.push('name is required (max 64 characters)');
+        }
+        try {
+            this.parseCronExpression(task.cron);
+        } catch (error) {
+            errors.push(`cron: ${error.message}`);
+        }
+        if (!this.scheduleTypes.includes(task.type)) {
+            errors.push(`type must be one of: ${this.scheduleTypes.join(', ')}`);
+        }
+        // Same rules as the console: any length, but a single line
+        if (task.type === 'command' && (typeof task.command !== 'string' || !task.command.trim() || /[\r\n]/.test(task.command))) {
+            errors.push('command is required (a single line)');
+        }
+        if (task.type === 'broadcast' && (typeof task.message !== 'string' || !task.message.trim() || /[\r\n]/.test(task.message))) {
+            errors.push('message is required (a single line)');
+        }
+        if (task.type === 'restart' && task.delay !== undefined && this.parseCountdown(task.delay) === null) {
+            errors.push('delay must be a number of seconds between 0 and 3600');
+        }
+        if (!['skip', 'queue'].includes(task.whenOffline)) {
+            errors.push('whenOffline must be "skip" or "queue"');
+        }
+
+        return errors;
+    }
+
+    getScheduleInfo(task) {
+        // Tasks saved before a validation rule existed may no longer parse
+        let next = null;
+        try {
+            next = task.enabled ? this.getNextCronRun(this.parseCronExpression(task.cron)) : null;
+        } catch (error) {
+            next = null;
+        }
+        return {
+            ...task,
+            nextRun: next ? next.getTime() : null,
+            queued: this.queuedTasks.has(task.id)
+        };
+    }
+
+    // Ticks at the start of every minute, like the backup schedule
+    startScheduler() {
+        if (this.schedules.length > 0) {
+            console.log(`🗓️  ${this.schedules.length} scheduled task(s) loaded`);
+        }
+
+        const tick = () => {
+            const now = new Date();
+            for (const task of this.schedules) {
+                if (!task.enabled) continue;
+                try {
+                    if (this.cronMatches(this.parseCronExpression(task.cron), now)) {
+                        this.runScheduledTask(task);
+                    }
+                } catch (error) {
+                    console.log(`⚠️  Schedule "${task.name}" has an invalid cron expression: ${error.message}`);
+                }
+            }
+            this.schedulerTimer = setTimeout(tick, 60000 - (Date.now() % 60000));
+        };
+        this.schedulerTimer = setTimeout(tick, 60000 - (Date.now() % 60000));
+    }
+
+    async runScheduledTask(task) {
+        // Backups work with the server stopped; everything else needs the console
+        if (task.type !== 'backup' && this.serverStatus !== 'online') {
+            if (task.whenOffline === 'queue') {
+                this.queuedTasks.add(task.id);
+                this.recordTaskRun(task, 'queued', `Server is ${this.serverStatus}, will run when it is online`);
+            } else {
+                this.recordTaskRun(task, 'skipped', `Server is ${this.serverStatus}`);
+            }
+            return;
+        }
+
+        this.queuedTasks.delete(task.id);
+        console.log(`🗓️  Running scheduled task "${task.name}" (${task.type})`);
+
+        try {
+            let message;
+            if (task.type === 'command') {
+                const capture = this.runCommandWithCapture(task.command, { timeout: 5000, quietPeriod: 500 });
+                if (!capture) {
+                    throw new Error('Command could not be sent to the server');
+                }
+                const result = await capture.promise;
+                message = result.output.slice(-5).map(line => line.text).join('\n');
+            } else if (task.type === 'broadcast') {
+                if (!this.executeCommand(`say ${task.message}`)) {
+                    throw new Error('Broadcast could not be sent to the server');
+                }
+                message = 'Broadcast sent';
+            } else if (task.type === 'restart') {
+                const countdown = this.parseCountdown(task.delay);
+                if (this.shutdownPromise) {
+                    throw new Error(`Server is already ${this.shutdownState.action}`);
+                }
+                // Record the start now; the restart itself may outlive this tick by minutes
+                this.restartMinecraftServer(countdown);
+                message = `Restart started${countdown > 0 ? ` with a ${countdown}s countdown` : ''}`;
+            } else if (task.type === 'backup') {
+                const backup = await this.createBackup('scheduled');
+                message = `Backup ${backup.id} created (${backup.sizeMB}MB)`;
+            }
+            this.recordTaskRun(task, 'success', message);
+        } catch (error) {
+            console.log(`⚠️  Scheduled task "${task.name}" failed: ${error.message}`);
+            this.recordTaskRun(task, 'failed', error.message);
+        }
+    }
+
+    recordTaskRun(task, status, message) {
+        task.lastRun = { at: Date.now(), status, message: message || '' };
+        this.saveSchedules();
+    }
+
+    runQueuedTasks() {
+        for (const task of this.schedules.filter(entry => this.queuedTasks.has(entry.id))) {
+            this.runScheduledTask(task);
+        }
+    }
+
+    waitForConsoleLine(pattern, timeout = 30000) {
+        return new Promise((resolve) => {
+            let timer = null;
+            const listener = (line) => {
+                if (line.stream !== 'command' && pattern.test(line.text)) {
+                    done(line);
+                }
+            };
+            const done = (line) => {
+                clearTimeout(timer);
+                this.consoleListeners.delete(listener);
+                resolve(line);
+            };
+
+            this.consoleListeners.add(listener);
+            timer = setTimeout(() => done(null), timeout);
+        });
+    }
+
+    waitForServerStop(timeout = 30000) {
+        return new Promise((resolve) => {
+            if (!this.minecraftProcess) {
+                return resolve(true);
+            }
+
+            const timer = setTimeout(() => resolve(false), timeout);
+            this.minecraftProcess.once('close', () => {
+                clearTimeout(timer);
+                resolve(true);
+            });
+        });
+    }
+
+    runProcess(command, args, options = {}) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, args, { ...options, stdio: ['ignore', 'pipe', 'pipe'] });
+            let output = '';
+
+            child.stdout.on('data', (data) => { output += data; });
+            child.stderr.on('data', (data) => { output += data; });
+            child.on('error', reject);
+            child.on('close', (code) => {
+                if (code === 0) {
+                    resolve(output);
+                } else {
+                    reject(new Error(`${command} exited with code ${code}: ${output.trim().slice(-500)}`));
+                }
+            });
+        });
+    }
+
+    // Validates a player name and works out its edition. Java names are 3-16
+    // word characters; Floodgate names are the configured prefix followed by
+    // the Bedrock gamertag with spaces replaced by underscores.
+    normalizePlayerName(name) {
+        if (typeof name !== 'string') return null;
+        const trimmed = name.trim();
+
+        if (this.floodgatePrefix && trimmed.startsWith(this.floodgatePrefix)) {
+            const gamertag = trimmed.slice(this.floodgatePrefix.length).replace(/ /g, '_');
+            if (!/^[A-Za-z0-9_]{1,16}$/.test(gamertag)) return null;
+            return {
+                name: `${this.floodgatePrefix}${gamertag}`,
+                gamertag: gamertag,
+                edition: 'bedrock'
+            };
+        }
+
+        if (!/^[A-Za-z0-9_]{3,16}$/.test(trimmed)) return null;
+        return { name: trimmed, gamertag: null, edition: 'java' };
+    }
+
+    normalizeBanTarget(target) {
+        if (typeof target !== 'string') return null;
+        if (net.isIP(target.trim())) return target.trim();
+
+        const player = this.normalizePlayerName(target);
+        return player ? player.name : null;
+    }
+
+    rejectPlayerName(res) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid player name'
+        });
+    }
+
+    sanitizeReason(reason) {
+        if (typeof reason !== 'string') return '';
+        return reason.replace(/[\r\n]+/g, ' ').trim().slice(0, 60);
+    }
+
+    readServerJson(file) {
+        try {
+            const filePath = path.join(this.serverPath, file);
+            if (!fs.existsSync(filePath)) return [];
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            console.log(`⚠️  Could not read ${file}:`, error.message);
+            return [];
+        }
+    }
+
+    async sendPlayerCommand(res, command, listFile = null) {
+        if (this.serverStatus !== 'online') {
+            return res.status(409).json({
+                success: false,
+                message: 'Server must be online to manage players'
+            });
+        }
+
+        const capture = this.runCommandWithCapture(command, { timeout: 5000, quietPeriod: 500 });
+        if (!capture) {
+            return res.json({
+                success: false,
+                message: 'Command could not be sent to the server'
+            });
+        }
+
+        const result = await capture.promise;
+        const response = {
+            success: true,
+            message: `Command sent: ${command}`,
+            output: result.output.map(line => line.text)
+        };
+
+        // The server writes its JSON lists as part of handling the command
+        if (listFile) {
+            response.entries = this.readServerJson(listFile);
+        }
+
+        res.json(response);
+    }
+
+    getOnlinePlayers() {
+        const now = Date.now();
+        return [...this.onlinePlayers.values()].map(player => ({
+            ...player,
+            sessionSeconds: Math.floor((now - player.joinedAt) / 1000)
+        }));
+    }
+
+    getPlayerEdition(name) {
+        if (this.bedrockPlayers.has(name)) return 'bedrock';
+        if (this.floodgatePrefix && name.startsWith(this.floodgatePrefix)) return 'bedrock';
+        return 'java';
+    }
+
+    // Turns a Paper console line into a player event, or null if it isn't one.
+    // Lines look like "[12:34:56 INFO]: Steve joined the game", optionally with
+    // a "[PluginName]" tag after the level.
+    parsePlayerEvent(line) {
+        const match = line.match(/^\[\d{2}:\d{2}:\d{2} [A-Z]+\]:\s(?:\[([^\]]+)\]\s)?(.*)$/);
+        if (!match) return null;
+
+        const source = match[1] || null;
+        const text = match[2].trim();
+        const name = '([\\w.*\\-]{1,32})';
+        let result;
+
+        if ((result = text.match(/Floodgate player logged in as (\S+) joined/i))) {
+            return { type: 'bedrock-login', player: result[1] };
+        }
+
+        if (source && !/^Not Secure$/i.test(source)) {
+            return null;
+        }
+
+        if ((result = text.match(new RegExp(`^<${name}> (.*)$`)))) {
+            return { type: 'chat', player: result[1], message: result[2] };
+        }
+
+        if ((result = text.match(new RegExp(`^${name}\\[/([^\\]]+)\\] logged in with entity id`)))) {
+            return { type: 'login', player: result[1], address: result[2].replace(/:\d+$/, '') };
+        }
+
+        if ((result = text.match(new RegExp(`^${name} joined the game`)))) {
+            return { type: 'join', player: result[1] };
+        }
+
+        if ((result = text.match(new RegExp(`^${name} left the game`)))) {
+            return { type: 'leave', player: result[1] };
+        }
+
+        if ((result = text.match(new RegExp(`^${name} has (?:made the advancement|completed the challenge|reached the goal) \\[(.+)\\]`)))) {
+            return { type: 'advancement', player: result[1], advancement: result[2] };
+        }
+
+        if ((result = text.match(/^There are (\d+) of a max of \d+ players online:\s?(.*)$/))) {
+            const players = result[2].split(',').map(player => player.trim()).filter(Boolean);
+            return { type: 'list', players: players };
+        }
+
+        // Death messages only count for players we know are online, since
+        // "<name> was ..." is too generic to match on its own
+        const deathPattern = /^(\S+) (was .+|drowned.*|died.*|blew up.*|burned to death.*|fell .+|hit the ground too hard.*|tried to swim in lava.*|went up in flames.*|walked into .+|starved to death.*|suffocated .+|experienced kinetic energy.*|withered away.*|discovered the floor was lava.*|froze to death.*|left the confines of this world.*|went off with a bang.*|didn't want to live .+)$/;
+        if ((result = text.match(deathPattern)) && this.onlinePlayers.has(result[1])) {
+            return { type: 'death', player: result[1], message: text };
+        }
+
+        return null;
+    }
+
+    handlePlayerEvent(event) {
+        const now = Date.now();
+
+        switch (event.type) {
+            case 'bedrock-login':
+                this.bedrockPlayers.add(event.player);
+                return;
+
+            case 'login':
+                this.pendingPlayerAddresses.set(event.player, event.address);
+                return;
+
+            case 'join': {
+                const address = this.pendingPlayerAddresses.get(event.player);
+                this.pendingPlayerAddresses.delete(event.player);
+
+                const player = {
+                    name: event.player,
+                    edition: this.getPlayerEdition(event.player),
+                    address: address || null,
+                    joinedAt: now
+                };
+                this.onlinePlayers.set(player.name, player);
+                console.log(`👋 ${player.name} joined (${player.edition})`);
+                this.notify('player-join', `${player.name} joined the game`, { player: player.name, edition: player.edition });
+                break;
+            }
+
+            case 'leave': {
+                const player = this.onlinePlayers.get(event.player);
+                if (player) {
+                    this.endPlayerSession(player, now);
+                }
+                console.log(`👋 ${event.player} left`);
+                this.notify('player-leave', `${event.player} left the game`, { player: event.player });
+                break;
+            }
+
+            case 'list': {
+                // Reconcile with the authoritative "list" output
+                for (const player of [...this.onlinePlayers.values()]) {
+                    if (!event.players.includes(player.name)) {
+                        this.endPlayerSession(player, now);
+                    }
+                }
+                for (const name of event.players) {
+                    if (!this.onlinePlayers.has(name)) {
+                        this.onlinePlayers.set(name, {
+                            name: name,
+                            edition: this.getPlayerEdition(name),
+                            address: null,
+                            joinedAt: now
+                        });
+                    }
+                }
+                return;
+            }
+        }
+
+        this.playerEvents.push({ ...event, time: now });
+        if (this.playerEvents.length > this.maxPlayerHistory) {
+            this.playerEvents.shift();
+        }
+    }
+
+    endPlayerSession(player, leftAt) {
+        this.onlinePlayers.delete(player.name);
+        this.bedrockPlayers.delete(player.name);
+
+        this.playerSessions.push({
+            name: player.name,
+            edition: player.edition,
+            joinedAt: player.joinedAt,
+            leftAt: leftAt,
+            durationSeconds: Math.floor((leftAt - player.joinedAt) / 1000)
+        });
+        if (this.playerSessions.length > this.maxPlayerHistory) {
+            this.playerSessions.shift();
+        }
+    }
+
+    clearOnlinePlayers() {
+        const now = Date.now();
+        for (const player of [...this.onlinePlayers.values()]) {
+            this.endPlayerSession(player, now);
+        }
+        this.bedrockPlayers.clear();
+    }
+
+    getDefaultProperties() {
+        const properties = `
+server-ip=0.0.0.0
+server-port=${this.javaPort}
+gamemode=survival
+difficulty=easy
+max-players=10
+motd=§aCrossplay Server §7| §eOptimized §7| §bAll Versions
+server-name=CrossplayServer
+online-mode=false
+enforce-whitelist=false
+
+# Optimized Settings
+view-distance=6
+simulation-distance=4
+max-tick-time=60000
+
+# Entity optimizations
+entity-activation-range.animals=16
+entity-activation-range.monsters=24
+entity-activation-range.raiders=32
+entity-activation-range.misc=8
+tick-inactive-villagers=false
+
+# Performance tweaks
+max-auto-save-chunks-per-tick=6
+auto-save-interval=6000
+max-world-size=10000
+network-compression-threshold=256
+enable-query=true
+enable-status=true
+enable-command-block=true
+spawn-protection=0
+allow-nether=true
+allow-end=true
+level-name=world
+require-resource-pack=false
+prevent-proxy-connections=false
+use-native-transport=true
+        `.trim();
+
+        return this.parseProperties(properties).values;
+    }
+
+    // Validation rules for the keys we let users edit. `live` maps a value to a
+    // console command that applies it without a restart.
+    getPropertySchema() {
+        const int = (min, max) => ({ type: 'int', min, max });
+        const bool = { type: 'boolean' };
+        const oneOf = (...values) => ({ type: 'enum', values });
+
+        return {
+            'server-port': { ...int(1, 65535), readOnly: true, note: 'Set with MINECRAFT_PORT' },
+            'server-ip': { type: 'string', max: 64 },
+            'motd': { type: 'string', max: 150 },
+            'server-name': { type: 'string', max: 64 },
+            'level-name': { type: 'string', max: 64, pattern: /^(?!\.\.?$)[\w\-. ]+$/ },
+            'level-seed': { type: 'string', max: 64 },
+            'level-type': oneOf('minecraft:normal', 'minecraft:flat', 'minecraft:large_biomes', 'minecraft:amplified', 'minecraft:single_biome_surface'),
+            'gamemode': { ...oneOf('survival', 'creative', 'adventure', 'spectator'), live: value => `defaultgamemode ${value}` },
+            'difficulty': { ...oneOf('peaceful', 'easy', 'normal', 'hard'), live: value => `difficulty ${value}` },
+            'white-list': { ...bool, live: value => `whitelist ${value ? 'on' : 'off'}` },
+            'max-players': int(1, 1000),
+            'view-distance': int(2, 32),
+            'simulation-distance': int(2, 32),
+            'spawn-protection': int(0, 1000),
+            'max-world-size': int(1, 29999984),
+            'max-tick-time': int(-1, 2147483647),
+            'network-compression-threshold': int(-1, 65535),
+            'player-idle-timeout': int(0, 10080),
+            'op-permission-level': int(0, 4),
+            'function-permission-level': int(1, 4),
+            'entity-broadcast-range-percentage': int(10, 1000),
+            'rate-limit': int(0, 10000),
+            'query.port': int(1, 65535),
+            'rcon.port': int(1, 65535),
+            'rcon.password': { type: 'string', max: 128, readOnly: this.rconEnabled, secret: true, note: 'Generated by the manager' },
+            'online-mode': bool,
+            'enforce-whitelist': bool,
+            'enforce-secure-profile': bool,
+            'pvp': bool,
+            'hardcore': bool,
+            'allow-flight': bool,
+            'allow-nether': bool,
+            'allow-end': bool,
+            'force-gamemode': bool,
+            'generate-structures': bool,
+            'spawn-animals': bool,
+            'spawn-monsters': bool,
+            'spawn-npcs': bool,
+            'enable-command-block': bool,
+            'enable-query': bool,
+            'enable-rcon': bool,
+            'enable-status': bool,
+            'hide-online-players': bool,
+            'require-resource-pack': bool,
+            'prevent-proxy-connections': bool,
+            'use-native-transport': bool,
+            'sync-chunk-writes': bool,
+            'log-ips': bool,
+            'broadcast-console-to-ops': bool,
+            'broadcast-rcon-to-ops': bool,
+            'enable-jmx-monitoring': bool,
+            'debug': bool,
+            'resource-pack': { type: 'string', max: 512 },
+            'resource-pack-sha1': { type: 'string', max: 40, pattern: /^[0-9a-fA-F]*$/ },
+            'resource-pack-prompt': { type: 'string', max: 256 }
+        };
+    }
+
+    // Parses Java .properties text, keeping the raw lines so the file can be
+    // rewritten without losing comments or ordering.
+    parseProperties(text) {
+        const values = {};
+        const lines = text.split(/\r?\n/);
+
+        lines.forEach((line) => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('!')) return;
+
+            const match = trimmed.match(/^((?:\\.|[^=:\\])*?)\s*[=:]\s*(.*)$/);
+            if (match) {
+                values[this.unescapeProperty(match[1])] = this.unescapeProperty(match[2]);
+            }
+        });
+
+        return { values, lines };
+    }
+
+    unescapeProperty(text) {
+        return text.replace(/\\u([0-9a-fA-F]{4})|\\(.)/g, (all, hex, char) => {
+            if (hex) return String.fromCharCode(parseInt(hex, 16));
+            return { t: '\t', n: '\n', r: '\r', f: '\f' }[char] || char;
+        });
+    }
+
+    escapeProperty(text, isKey = false) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/[=:#!]/g, char => `\\${char}`)
+            .replace(/\n/g, '\\n')
+            .replace(isKey ? / /g : /^ /, '\\ ')
+            .replace(/[^\x20-\x7e]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+    }
+
+    readServerProperties() {
+        const propertiesPath = path.join(this.serverPath, 'server.properties');
+        if (!fs.existsSync(propertiesPath)) {
+            return { values: {}, lines: [] };
+        }
+        return this.parseProperties(fs.readFileSync(propertiesPath, 'utf8'));
+    }
+
+    getServerProperty(key) {
+        return this.readServerProperties().values[key];
+    }
+
+    // Writes only the given keys, replacing their existing lines in place and
+    // appending any that are new.
+    writeServerProperties(updates) {
+        const { lines } = this.readServerProperties();
+        const pending = { ...updates };
+
+        const output = lines.map((line) => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('!')) return line;
+
+            const match = trimmed.match(/^((?:\\.|[^=:\\])*?)\s*[=:]/);
+            const key = match && this.unescapeProperty(match[1]);
+            if (key === null || !(key in pending)) return line;
+
+            const value = pending[key];
+            delete pending[key];
+            return `${this.escapeProperty(key, true)}=${this.escapeProperty(value)}`;
+        });
+
+        // Drop trailing blank lines before appending
+        while (output.length && !output[output.length - 1].trim()) output.pop();
+
+        for (const [key, value] of Object.entries(pending)) {
+            output.push(`${this.escapeProperty(key, true)}=${this.escapeProperty(value)}`);
+        }
+
+        fs.writeFileSync(path.join(this.serverPath, 'server.properties'), output.join('\n') + '\n');
+    }
+
+    // Converts a raw string (from the file) or JSON value (from the API) to
+    // the typed value for a key, or throws if it fails validation.
+    coerceProperty(key, value, schema) {
+        const rule = schema[key] || { type: 'string', max: 512 };
+
+        switch (rule.type) {
+            case 'int': {
+                const number = typeof value === 'number' ? value : Number(String(value).trim());
+                if (!Number.isInteger(number) || number < rule.min || number > rule.max) {
+                    throw new Error(`${key} must be an integer between ${rule.min} and ${rule.max}`);
+                }
+                return number;
+            }
+            case 'boolean':
+                if (value === true || value === 'true') return true;
+                if (value === false || value === 'false') return false;
+                throw new Error(`${key} must be true or false`);
+            case 'enum':
+                if (!rule.values.includes(String(value))) {
+                    throw new Error(`${key} must be one of: ${rule.values.join(', ')}`);
+                }
+                return String(value);
+            default: {
+                if (typeof value !== 'string' && typeof value !== 'number') {
+                    throw new Error(`${key} must be a string`);
+                }
+                const text = String(value);
+                if (text.length > rule.max || /[\r\n]/.test(text) || (rule.pattern && !rule.pattern.test(text))) {
+                    throw new Error(`${key} is not a valid value`);
+                }
+                return text;
+            }
+        }
+    }
+
+    getTypedProperties() {
+        const schema = this.getPropertySchema();
+        const { values } = this.readServerProperties();
+        const typed = {};
+
+        for (const [key, value] of Object.entries(values)) {
+            if (schema[key] && schema[key].secret) {
+                typed[key] = value ? '********' : '';
+                continue;
+            }
+            try {
+                typed[key] = this.coerceProperty(key, value, schema);
+            } catch (error) {
+                typed[key] = value;
+            }
+        }
+        return typed;
+    }
+
+    updateServerProperties(changes) {
+        const schema = this.getPropertySchema();
+        const current = this.readServerProperties().values;
+        const updates = {};
+        const errors = [];
+
+        for (const [key, value] of Object.entries(changes || {})) {
+            if (!schema[key] && !(key in current)) {
+                errors.push(`${key} is not a known property`);
+                continue;
+            }
+            if (schema[key] && schema[key].readOnly) {
+                errors.push(`${key} is managed by the server manager${schema[key].note ? ` (${schema[key].note})` : ''}`);
+                continue;
+            }
+
+            try {
+                updates[key] = this.coerceProperty(key, value, schema);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+
+        if (errors.length > 0) {
+            return { errors };
+        }
+
+        const changed = Object.keys(updates).filter(key => String(updates[key]) !== current[key]);
+        this.writeServerProperties(updates);
+
+        // Apply what we can to the running server; everything else waits for a restart
+        const appliedLive = [];
+        const restartRequired = [];
+        for (const key of changed) {
+            const live = schema[key] && schema[key].live;
+            if (live && this.serverStatus === 'online' && this.executeCommand(live(updates[key]))) {
+                appliedLive.push(key);
+            } else if (this.minecraftProcess) {
+                restartRequired.push(key);
+                this.pendingPropertyChanges.add(key);
+            }
+        }
+
+        return { updated: updates, changed, appliedLive, restartRequired };
+    }
+
+    setupServerProperties() {
+        if (!fs.existsSync(this.serverPath)) {
+            fs.mkdirSync(this.serverPath, { recursive: true });
+        }
+
+        // Keep whatever the user configured and only fill in missing keys.
+        // The port is owned by MINECRAFT_PORT so the manager always advertises
+        // the port the server actually binds.
+        const existing = this.readServerProperties().values;
+        const updates = {};
+
+        for (const [key, value] of Object.entries(this.getDefaultProperties())) {
+            if (!(key in existing)) {
+                updates[key] = value;
+            }
+        }
+
+        if (existing['server-port'] !== String(this.javaPort)) {
+            updates['server-port'] = String(this.javaPort);
+        }
+
+        if (Object.keys(updates).length > 0) {
+            this.writeServerProperties(updates);
+            console.log(`⚙️  server.properties: set ${Object.keys(updates).join(', ')}`);
+        }
+
+        const eulaPath = path.join(this.serverPath, 'eula.txt');
+        if (!fs.existsSync(eulaPath) || !/^eula=true$/m.test(fs.readFileSync(eulaPath, 'utf8'))) {
+            fs.writeFileSync(eulaPath, 'eula=true');
+        }
+    }
+
+    startHealthChecks() {
+        this.stopHealthChecks();
+        this.gameHealth = { java: null, query: null, bedrock: null, checkedAt: null };
+        this.healthCheckTimer = setInterval(() => this.checkGameHealth(), this.healthCheckInterval);
+    }
+
+    stopHealthChecks() {
+        if (this.healthCheckTimer) {
+            clearInterval(this.healthCheckTimer);
+            this.healthCheckTimer = null;
+        }
+        this.gameHealth = { java: null, query: null, bedrock: null, checkedAt: null };
+    }
+
+    async checkGameHealth() {
+        // Probes can take up to their timeout; don't stack them up
+        if (this.healthCheckRunning) return;
+        this.healthCheckRunning = true;
+
+        try {
+            await this.probeGamePorts();
+        } finally {
+            this.healthCheckRunning = false;
+        }
+    }
+
+    async probeGamePorts() {
+        const properties = this.readServerProperties().values;
+        const host = '127.0.0.1';
+        const queryEnabled = properties['enable-query'] === 'true';
+        const queryPort = parseInt(properties['query.port']) || parseInt(this.javaPort);
+        const geyserEnabled = this.listPlugins().some(plugin => plugin.enabled && /geyser/i.test(plugin.name));
+
+        const [java, query, bedrock] = await Promise.all([
+            this.runHealthProbe('java', () => this.pingJavaServer(host, parseInt(this.javaPort))),
+            queryEnabled ? this.runHealthProbe('query', () => this.queryJavaServer(host, queryPort)) : null,
+            geyserEnabled ? this.runHealthProbe('bedrock', () => this.pingBedrockServer(host, parseInt(this.bedrockPort))) : null
+        ]);
+
+        // The process may have exited while we were probing
+        if (!this.minecraftProcess) return;
+
+        this.gameHealth = { java, query, bedrock, checkedAt: Date.now() };
+
+        // A Server List Ping answer is proof enough that the server is up,
+        // even if we missed the "Done (" line
+        if (java.ok && this.serverStatus === 'starting') {
+            this.markServerOnline();
+        }
+    }
+
+    async runHealthProbe(name, probe) {
+        const previous = this.gameHealth[name];
+        try {
+            const result = await probe();
+            return { ok: true, failures: 0, ...result, checkedAt: Date.now() };
+        } catch (error) {
+            return {
+                ok: false,
+                failures: (previous && !previous.ok ? previous.failures : 0) + 1,
+                error: error.message,
+                checkedAt: Date.now()
+            };
+        }
+    }
+
+    // Only an online server whose ports stop answering is unhealthy; a stopped
+    // or still-starting server is not a failure of this process.
+    getGameHealthProblems() {
+        if (this.serverStatus !== 'online') return [];
+
+        const problems = [];
+        for (const name of ['java', 'query', 'bedrock']) {
+            const probe = this.gameHealth[name];
+            if (probe && !probe.ok && probe.failures >= 2) {
+                problems.push(`${name} port not responding: ${probe.error}`);
+            }
+        }
+        return problems;
+    }
+
+    writeVarInt(value) {
+        const bytes = [];
+        let remaining = value >>> 0;
+        do {
+            let byte = remaining & 0x7f;
+            remaining >>>= 7;
+            if (remaining !== 0) byte |= 0x80;
+            bytes.push(byte);
+        } while (remaining !== 0);
+        return Buffer.from(bytes);
+    }
+
+    readVarInt(buffer, offset = 0) {
+        let value = 0;
+        for (let i = 0; i < 5; i++) {
+            if (offset + i >= buffer.length) return null;
+            const byte = buffer[offset + i];
+            value |= (byte & 0x7f) << (7 * i);
+            if ((byte & 0x80) === 0) {
+                return { value, size: i + 1 };
+            }
+        }
+        throw new Error('VarInt is too big');
+    }
+
+    buildMinecraftPacket(id, payload) {
+        const body = Buffer.concat([this.writeVarInt(id), payload]);
+        return Buffer.concat([this.writeVarInt(body.length), body]);
+    }
+
+    // Minecraft Server List Ping (1.7+): handshake, status request, then a
+    // ping/pong round trip to measure latency.
+    pingJavaServer(host, port, timeout = 5000) {
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host, port });
+            let buffer = Buffer.alloc(0);
+            let status = null;
+            let pingSentAt = null;
+
+            const fail = (error) => {
+                socket.destroy();
+                reject(error);
+            };
+
+            socket.setTimeout(timeout, () => fail(new Error('Server List Ping timed out')));
+            socket.on('error', fail);
+
+            socket.on('connect', () => {
+                const address = Buffer.from(host, 'utf8');
+                const portBuffer = Buffer.alloc(2);
+                portBuffer.writeUInt16BE(port);
+
+                socket.write(this.buildMinecraftPacket(0x00, Buffer.concat([
+                    this.writeVarInt(-1),
+                    this.writeVarInt(address.length),
+                    address,
+                    portBuffer,
+                    this.writeVarInt(1)
+                ])));
+                socket.write(this.buildMinecraftPacket(0x00, Buffer.alloc(0)));
+            });
+
+            socket.on('data', (chunk) => {
+                buffer = Buffer.concat([buffer, chunk]);
+
+                try {
+                    while (true) {
+                        const length = this.readVarInt(buffer);
+                        if (!length || buffer.length < length.size + length.value) return;
+
+                        const packet = buffer.subarray(length.size, length.size + length.value);
+                        buffer = buffer.subarray(length.size + length.value);
+                        const id = this.readVarInt(packet);
+
+                        if (id.value === 0x00 && !status) {
+                            const jsonLength = this.readVarInt(packet, id.size);
+                            const start = id.size + jsonLength.size;
+                            status = JSON.parse(packet.toString('utf8', start, start + jsonLength.value));
+
+                            const payload = Buffer.alloc(8);
+                            payload.writeBigInt64BE(BigInt(Date.now()));
+                            pingSentAt = Date.now();
+                            socket.write(this.buildMinecraftPacket(0x01, payload));
+                        } else if (id.value === 0x01 && status) {
+                            socket.end();
+                            resolve({
+                                latency: Date.now() - pingSentAt,
+                                version: status.version ? status.version.name : null,
+                                protocol: status.version ? status.version.protocol : null,
+                                players: {
+                                    online: status.players ? status.players.online : 0,
+                                    max: status.players ? status.players.max : 0
+                                },
+                                motd: this.flattenChatComponent(status.description)
+                            });
+                            return;
+                        }
+                    }
+                } catch (error) {
+                    fail(new Error(`Invalid Server List Ping response: ${error.message}`));
+                }
+            });
+        });
+    }
+
+    flattenChatComponent(component) {
+        if (!component) return '';
+        if (typeof component === 'string') return component.replace(/§./g, '');
+        const text = (component.text || '') + (component.extra || []).map(part => this.flattenChatComponent(part)).join('');
+        return text.replace(/§./g, '');
+    }
+
+    // GameSpy4 full stat query (enable-query=true): handshake for a challenge
+    // token, then request the full key/value and player list.
+    queryJavaServer(host, port, timeout = 5000) {
+        return new Promise((resolve, reject) => {
+            const socket = dgram.createSocket('udp4');
+            const sessionId = crypto.randomBytes(4).readUInt32BE() & 0x0f0f0f0f;
+            const startedAt = Date.now();
+
+            const header = (type) => {
+                const buffer = Buffer.alloc(7);
+                buffer.writeUInt16BE(0xfefd, 0);
+                buffer.writeUInt8(type, 2);
+                buffer.writeUInt32BE(sessionId, 3);
+                return buffer;
+            };
+
+            const timer = setTimeout(() => done(new Error('Query timed out')), timeout);
+            const done = (error, result) => {
+                clearTimeout(timer);
+                socket.close();
+                if (error) reject(error);
+                else resolve(result);
+            };
+
+            socket.on('error', done);
+
+            socket.on('message', (message) => {
+                if (message.length < 5 || message.readUInt32BE(1) !== sessionId) return;
+
+                if (message[0] === 0x09) {
+                    const token = parseInt(message.toString('ascii', 5).replace(/\0.*$/, ''));
+                    const challenge = Buffer.alloc(8);
+                    challenge.writeInt32BE(token, 0);
+                    socket.send(Buffer.concat([header(0x00), challenge]), port, host);
+                } else if (message[0] === 0x00) {
+                    try {
+                        done(null, { latency: Date.now() - startedAt, ...this.parseQueryResponse(message) });
+                    } catch (error) {
+                        done(new Error(`Invalid query response: ${error.message}`));
+                    }
+                }
+            });
+
+            socket.send(header(0x09), port, host);
+        });
+    }
+
+    parseQueryResponse(message) {
+        // Skip type, session id and the constant "splitnum\0\x80\0" padding
+        const parts = message.toString('utf8', 16).split('\0');
+        const values = {};
+        let index = 0;
+
+        while (index < parts.length && parts[index] !== '') {
+            values[parts[index]] = parts[index + 1];
+            index += 2;
+        }
+
+        // Then "\x01player_\0\0" and a null separated list of names
+        const playerStart = parts.indexOf('\u0001player_', index);
+        const players = playerStart === -1 ? [] : parts.slice(playerStart + 2).filter(Boolean);
+
+        return {
+            motd: (values.hostname || '').replace(/§./g, ''),
+            version: values.version || null,
+            map: values.map || null,
+            plugins: values.plugins || null,
+            players: {
+                online: parseInt(values.numplayers) || 0,
+                max: parseInt(values.maxplayers) || 0,
+                list: players
+            }
+        };
+    }
+
+    // RakNet unconnected ping against Geyser's Bedrock port
+    pingBedrockServer(host, port, timeout = 5000) {
+        return new Promise((resolve, reject) => {
+            const socket = dgram.createSocket('udp4');
+            const magic = Buffer.from('00ffff00fefefefefdfdfdfd12345678', 'hex');
+            const sentAt = Date.now();
+
+            const packet = Buffer.alloc(33);
+            packet.writeUInt8(0x01, 0);
+            packet.writeBigInt64BE(BigInt(sentAt), 1);
+            magic.copy(packet, 9);
+            packet.writeBigInt64BE(BigInt.asIntN(64, BigInt(`0x${crypto.randomBytes(8).toString('hex')}`)), 25);
+
+            const timer = setTimeout(() => done(new Error('RakNet ping timed out')), timeout);
+            const done = (error, result) => {
+                clearTimeout(timer);
+                socket.close();
+                if (error) reject(error);
+                else resolve(result);
+            };
+
+            socket.on('error', done);
+
+            socket.on('message', (message) => {
+                if (message[0] !== 0x1c || message.length < 35) return;
+
+                const length = message.readUInt16BE(33);
+                const fields = message.toString('utf8', 35, 35 + length).split(';');
+                done(null, {
+                    latency: Date.now() - sentAt,
+                    edition: fields[0] || null,
+                    motd: fields[1] || '',
+                    protocol: parseInt(fields[2]) || null,
+                    version: fields[3] || null,
+                    players: {
+                        online: parseInt(fields[4]) || 0,
+                        max: parseInt(fields[5]) || 0
+                    }
+                });
+            });
+
+            socket.send(packet, port, host);
+        });
+    }
+
+    // The running process's command line, or what the next start would use
+    getJvmStatus() {
+        const jvm = this.minecraftProcess && this.jvmCommand ? this.jvmCommand : this.resolveJvmCommand();
+        const java = this.javaVersionCache.get(jvm.javaPath);
+        return {
+            running: !!(this.minecraftProcess && this.jvmCommand),
+            preset: jvm.preset,
+            maxMemoryMB: jvm.maxMemoryMB,
+            minMemoryMB: jvm.minMemoryMB,
+            memoryLimitMB: jvm.memoryLimitMB,
+            javaVersion: java ? java.version : null,
+            commandLine: jvm.commandLine
+        };
+    }
+
+    startMetricsCollection() {
+        this.stopMetricsCollection();
+        this.lastCpuSample = null;
+        this.metricsInterval = setInterval(() => this.collectMetrics(), this.metricsSampleInterval);
+        this.collectMetrics();
+    }
+
+    stopMetricsCollection() {
+        if (this.metricsInterval) {
+            clearInterval(this.metricsInterval);
+            this.metricsInterval = null;
+        }
+        this.latestMetrics = null;
+    }
+
+    async collectMetrics() {
+        if (!this.minecraftProcess || this.metricsSampling) return;
+        this.metricsSampling = true;
+
+        try {
+            const sample = {
+                time: Date.now(),
+                ...this.readProcessStats(this.minecraftProcess.pid),
+                players: this.onlinePlayers.size,
+                tps: null,
+                mspt: null,
+                chunks: null,
+                entities: null
+            };
+
+            if (this.serverReady) {
+                Object.assign(sample, await this.readGameStats());
+            }
+
+            if (sample.rssMB !== null) {
+                const cpu = sample.cpuPercent !== null ? `, ${sample.cpuPercent}% CPU` : '';
+                console.log(`📊 Minecraft: ${sample.rssMB}MB RSS${cpu}${sample.tps ? `, ${sample.tps[0]} TPS` : ''}`);
+                // The JVM's footprint runs well above its heap; warn once it's clearly past that
+                const warningMB = this.memoryWarningMB || Math.round(this.jvmCommand.maxMemoryMB * 1.3);
+                if (sample.rssMB > warningMB) {
+                    console.log('⚠️  High memory usage detected.');
+                    // Notify once per excursion rather than on every sample
+                    if (!this.memoryWarningActive) {
+                        this.notify('memory-warning', `High memory usage: ${sample.rssMB}MB RSS`, { rssMB: sample.rssMB, thresholdMB: warningMB });
+                    }
+                    this.memoryWarningActive = true;
+                } else {
+                    this.memoryWarningActive = false;
+                }
+            }
+
+            this.latestMetrics = sample;
+            this.metricsHistory.push(sample);
+            if (this.metricsHistory.length > this.metricsHistorySize) {
+                this.metricsHistory.splice(0, this.metricsHistory.length - this.metricsHistorySize);
+            }
+
+            if (this.metricsPersist) {
+                this.saveMetricsHistory();
+            }
+        } catch (error) {
+            console.log('⚠️  Metrics sample failed:', error.message);
+        } finally {
+            this.metricsSampling = false;
+        }
+    }
+
+    // CPU and memory of the JVM straight from /proc (Linux only)
+    readProcessStats(pid) {
+        try {
+            const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+            const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+            const cpuTicks = parseInt(fields[11]) + parseInt(fields[12]);
+            const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+            const rssKB = parseInt((status.match(/^VmRSS:\s+(\d+)/m) || [])[1]) || 0;
+            const threads = parseInt((status.match(/^Threads:\s+(\d+)/m) || [])[1]) || null;
+
+            // Ticks are 1/100s on Linux; usage is relative to one core
+            const now = Date.now();
+            let cpuPercent = null;
+            if (this.lastCpuSample && this.lastCpuSample.pid === pid) {
+                const elapsed = (now - this.lastCpuSample.time) / 1000;
+                cpuPercent = Math.round((cpuTicks - this.lastCpuSample.ticks) / 100 / elapsed * 1000) / 10;
+            }
+            this.lastCpuSample = { pid, ticks: cpuTicks, time: now };
+
+            return { cpuPercent, rssMB: Math.round(rssKB / 1024), threads };
+        } catch (error) {
+            return { cpuPercent: null, rssMB: null, threads: null };
+        }
+    }
+
+    // TPS/MSPT from Paper's commands, loaded chunks from "paper chunkinfo" and
+    // entity count from "execute if entity @e"
+    async readGameStats() {
+        const run = async (command) => {
+            const capture = this.runCommandWithCapture(command, { timeout: 3000, quietPeriod: 300 });
+            if (!capture) return [];
+            const result = await capture.promise;
+            return result.output.map(line => line.text.replace(/\x1b\[[0-9;]*m/g, '').replace(/§./g, ''));
+        };
+        const numbers = text => (text.match(/\d+(?:\.\d+)?/g) || []).map(Number);
+        const stats = {};
+
+        const tpsLine = (await run('tps')).find(line => line.includes('TPS from last'));
+        if (tpsLine) {
+            stats.tps = numbers(tpsLine.split(':').pop()).slice(0, 3);
+        }
+
+        // "Server tick times (avg/min/max) from last 5s, 10s, 1m:" followed by the values
+        const msptLines = await run('mspt');
+        const msptIndex = msptLines.findIndex(line => line.includes('tick times'));
+        if (msptIndex !== -1 && msptLines[msptIndex + 1]) {
+            const values = numbers(msptLines[msptIndex + 1].replace(/^\[[^\]]*\]:/, ''));
+            if (values.length >= 3) {
+                stats.mspt = { avg: values[0], min: values[1], max: values[2] };
+            }
+        }
+
+        const chunkLines = await run('paper chunkinfo *');
+        const allWorlds = chunkLines.findIndex(line => line.includes('Chunks in all worlds'));
+        const totals = (allWorlds !== -1 ? chunkLines.slice(allWorlds) : chunkLines)
+            .map(line => line.match(/Total:\s*(\d+)/))
+            .filter(Boolean)
+            .map(match => parseInt(match[1]));
+        if (totals.length > 0) {
+            stats.chunks = allWorlds !== -1 ? totals[0] : totals.reduce((sum, value) => sum + value, 0);
+        }
+
+        const entityLine = (await run('execute if entity @e')).find(line => /count: \d+/.test(line));
+        if (entityLine) {
+            stats.entities = parseInt(entityLine.match(/count: (\d+)/)[1]);
+        }
+
+        return stats;
+    }
+
+    loadMetricsHistory() {
+        try {
+            const metricsPath = path.join(this.dataPath, 'metrics.json');
+            if (fs.existsSync(metricsPath)) {
+                return JSON.parse(fs.readFileSync(metricsPath, 'utf8'));
+            }
+        } catch (error) {
+            console.log('⚠️  Could not load metrics history:', error.message);
+        }
+        return [];
+    }
+
+    saveMetricsHistory() {
+        try {
+            if (!fs.existsSync(this.dataPath)) {
+                fs.mkdirSync(this.dataPath, { recursive: true });
+            }
+            fs.writeFileSync(path.join(this.dataPath, 'metrics.json'), JSON.stringify(this.metricsHistory));
+        } catch (error) {
+            console.log('⚠️  Could not save metrics history:', error.message);
+        }
+    }
+
+    getPrometheusMetrics() {
+        const lines = [];
+        const metric = (name, help, type, samples) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            for (const [labels, value] of samples) {
+                if (value === null || value === undefined || Number.isNaN(value)) continue;
+                const labelText = Object.entries(labels).map(([key, val]) => `${key}="${val}"`).join(',');
+                lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${value}`);
+            }
+        };
+
+        const latest = this.latestMetrics || {};
+        const memory = process.memoryUsage();
+        const uptime = this.startTime ? (Date.now() - this.startTime) / 1000 : 0;
+        const java = this.gameHealth.java;
+
+        metric('minecraft_up', 'Whether the Minecraft server is online (1) or not (0).', 'gauge',
+            [[{}, this.serverStatus === 'online' ? 1 : 0]]);
+        metric('minecraft_uptime_seconds', 'Seconds since the Minecraft server was started.', 'gauge', [[{}, Math.round(uptime)]]);
+        metric('minecraft_players_online', 'Players currently online.', 'gauge', [[{}, this.onlinePlayers.size]]);
+        metric('minecraft_process_cpu_percent', 'CPU usage of the server JVM, relative to one core.', 'gauge', [[{}, latest.cpuPercent]]);
+        metric('minecraft_process_resident_memory_bytes', 'Resident memory of the server JVM.', 'gauge',
+            [[{}, latest.rssMB !== undefined && latest.rssMB !== null ? latest.rssMB * 1024 * 1024 : null]]);
+        metric('minecraft_tps', 'Ticks per second reported by Paper.', 'gauge',
+            (latest.tps || []).map((value, index) => [{ window: ['1m', '5m', '15m'][index] }, value]));
+        metric('minecraft_mspt', 'Milliseconds per tick over the last 5 seconds.', 'gauge',
+            latest.mspt ? Object.entries(latest.mspt).map(([stat, value]) => [{ stat }, value]) : []);
+        metric('minecraft_loaded_chunks', 'Loaded chunks across all worlds.', 'gauge', [[{}, latest.chunks]]);
+        metric('minecraft_entities', 'Loaded entities across all worlds.', 'gauge', [[{}, latest.entities]]);
+        metric('minecraft_ping_latency_ms', 'Server List Ping latency to the Java port.', 'gauge',
+            [[{}, java && java.ok ? java.latency : null]]);
+        metric('minecraft_crashes_in_window', 'Crashes counted by the supervisor in the current window.', 'gauge',
+            [[{}, this.getSupervisorStatus().crashesInWindow]]);
+        metric('manager_resident_memory_bytes', 'Resident memory of this manager process.', 'gauge', [[{}, memory.rss]]);
+        metric('manager_heap_used_bytes', 'Heap used by this manager process.', 'gauge', [[{}, memory.heapUsed]]);
+
+        return lines.join('\n') + '\n';
+    }
+
+    loadJvmConfig() {
+        const configPath = path.join(this.dataPath, 'jvm.json');
+        try {
+            if (fs.existsSync(configPath)) {
+                return { ...this.jvmDefaults, ...JSON.parse(fs.readFileSync(configPath, 'utf8')) };
+            }
+        } catch (error) {
+            console.log('⚠️  Could not load JVM config:', error.message);
+        }
+        return { ...this.jvmDefaults };
+    }
+
+    saveJvmConfig(config) {
+        if (!fs.existsSync(this.dataPath)) {
+            fs.mkdirSync(this.dataPath, { recursive: true });
+        }
+        fs.writeFileSync(path.join(this.dataPath, 'jvm.json'), JSON.stringify(config, null, 2));
+    }
+
+    validateJvmConfig(config) {
+        const errors = [];
+        const limit = this.getMemoryLimitMB();
+
+        if (typeof config.javaPath !== 'string' || !config.javaPath.trim()) {
+            errors.push('javaPath must be a non-empty string');
+        }
+        if (!this.jvmPresets.includes(config.preset)) {
+            errors.push(`preset must be one of: ${this.jvmPresets.join(', ')}`);
+        }
+
+        const max = config.maxMemory === 'auto' ? this.getAutoHeapMB() : this.parseMemorySize(config.maxMemory);
+        if (max === null) {
+            errors.push('maxMemory must be "auto" or a size such as 2048M or 4G');
+        } else if (max < 256) {
+            errors.push('maxMemory must be at least 256M');
+        } else if (max > limit) {
+            errors.push(`maxMemory exceeds the available memory (${limit}MB)`);
+        }
+
+        if (config.minMemory !== null && config.minMemory !== undefined) {
+            const min = this.parseMemorySize(config.minMemory);
+            if (min === null) {
+                errors.push('minMemory must be a size such as 512M or 1G');
+            } else if (max !== null && min > max) {
+                errors.push('minMemory cannot be larger than maxMemory');
+            }
+        }
+
+        if (!Array.isArray(config.extraFlags) || config.extraFlags.some(flag => typeof flag !== 'string' || !flag.startsWith('-'))) {
+            errors.push('extraFlags must be a list of options starting with "-"');
+        } else if (config.extraFlags.some(flag => /^-(Xmx|Xms|jar$)/.test(flag))) {
+            errors.push('Set heap sizes with maxMemory/minMemory instead of extraFlags');
+        }
+
+        return errors;
+    }
+
+    // "2G", "1536M", "1536" (MB) -> megabytes
+    parseMemorySize(value) {
+        const match = String(value).trim().match(/^(\d+)\s*([MG]?)B?$/i);
+        if (!match) return null;
+        const amount = parseInt(match[1]);
+        return match[2].toUpperCase() === 'G' ? amount * 1024 : amount;
+    }
+
+    loadGeyserConfig() {
+        const configPath = path.join(this.dataPath, 'geyser.json');
+        try {
+            if (fs.existsSync(configPath)) {
+                return { ...this.geyserDefaults, ...JSON.parse(fs.readFileSync(configPath, 'utf8')) };
+            }
+        } catch (error) {
+            console.log('⚠️  Could not load Geyser config:', error.message);
+        }
+        return { ...this.geyserDefaults };
+    }
+
+    saveGeyserConfig(config) {
+        if (!fs.existsSync(this.dataPath)) {
+            fs.mkdirSync(this.dataPath, { recursive: true });
+        }
+        fs.writeFileSync(path.join(this.dataPath, 'geyser.json'), JSON.stringify(config, null, 2));
+
+        // Keep the instance registry showing the port this instance actually uses
+        const entry = this.manager.instanceConfigs.find(instance => instance.id === this.id);
+        if (entry && entry.bedrockPort !== config.bedrockPort) {
+            entry.bedrockPort = config.bedrockPort;
+            this.manager.saveInstances();
+        }
+    }
+
+    validateGeyserConfig(config) {
+        const errors = [];
+        if (!Number.isInteger(config.bedrockPort) || config.bedrockPort < 1 || config.bedrockPort > 65535) {
+            errors.push('bedrockPort must be a port number between 1 and 65535');
+        }
+        if (typeof config.bedrockAddress !== 'string' || net.isIP(config.bedrockAddress) === 0) {
+            errors.push('bedrockAddress must be an IP address (0.0.0.0 listens on all interfaces)');
+        }
+        if (!this.geyserAuthTypes.includes(config.authType)) {
+            errors.push(`authType must be one of: ${this.geyserAuthTypes.join(', ')}`);
+        } else if (config.authType === 'floodgate' && !this.isFloodgateInstalled()) {
+            errors.push('authType floodgate needs the Floodgate plugin installed and enabled');
+        }
+        if (typeof config.floodgatePrefix !== 'string' || config.floodgatePrefix.length > 16 || /[\s"']/.test(config.floodgatePrefix)) {
+            errors.push('floodgatePrefix must be at most 16 characters without spaces or quotes');
+        }
+        return errors;
+    }
+
+    isFloodgateInstalled() {
+        return this.listPlugins().some(plugin => plugin.enabled && /floodgate/i.test(plugin.name || plugin.file));
+    }
+
+    // What the plugin configs should contain. "auto" auth follows Geyser's own
+    // rule: floodgate when Floodgate is installed, online otherwise.
+    getGeyserTargets(config) {
+        const geyserConfig = path.join(this.pluginsPath, 'Geyser-Spigot', 'config.yml');
+        const floodgateConfig = path.join(this.pluginsPath, 'floodgate', 'config.yml');
+        const authType = config.authType === 'auto'
+            ? (this.isFloodgateInstalled() ? 'floodgate' : 'online')
+            : config.authType;
+
+        return [
+            { file: geyserConfig, key: ['bedrock', 'port'], expected: config.bedrockPort },
+            { file: geyserConfig, key: ['bedrock', 'address'], expected: config.bedrockAddress, pluginDefault: '0.0.0.0' },
+            // Cloning would move Bedrock onto the Java port behind the manager's back
+            { file: geyserConfig, key: ['bedrock', 'clone-remote-port'], expected: false, pluginDefault: false },
+            { file: geyserConfig, key: ['remote', 'auth-type'], expected: authType },
+            { file: floodgateConfig, key: ['username-prefix'], expected: config.floodgatePrefix }
+        ];
+    }
+
+    // Plugin configs that don't exist yet (first start generates them) are skipped
+    checkGeyserConfig(config) {
+        const mismatches = [];
+        const contents = new Map();
+
+        for (const target of this.getGeyserTargets(config)) {
+            if (!contents.has(target.file)) {
+                try {
+                    contents.set(target.file, fs.existsSync(target.file) ? fs.readFileSync(target.file, 'utf8') : null);
+                } catch (error) {
+                    console.log(`⚠️  Could not read ${this.relativeServerPath(target.file)}: ${error.message}`);
+                    contents.set(target.file, null);
+                }
+            }
+            const text = contents.get(target.file);
+            if (text === null) continue;
+
+            // A value we cannot parse counts as drifted, never as a boot failure
+            let found;
+            try {
+                found = this.readYamlValue(text, target.key);
+            } catch (error) {
+                found = null;
+            }
+            const actual = found === undefined ? target.pluginDefault : found;
+            if (String(actual) !== String(target.expected)) {
+                mismatches.push({
+                    file: this.relativeServerPath(target.file),
+                    key: target.key.join('.'),
+                    expected: target.expected,
+                    found: found === undefined ? null : found
+                });
+            }
+        }
+
+        return mismatches;
+    }
+
+    // Called on every start (and on PATCH while stopped): apply data/geyser.json
+    // to the instance and rewrite any plugin config values that drifted
+    syncGeyserConfig() {
+        const config = this.loadGeyserConfig();
+        this.bedrockPort = config.bedrockPort;
+        this.floodgatePrefix = config.floodgatePrefix;
+        this.pendingGeyserChange = false;
+
+        const mismatches = this.checkGeyserConfig(config);
+        const targets = this.getGeyserTargets(config);
+        for (const file of new Set(mismatches.map(mismatch => mismatch.file))) {
+            const target = path.join(this.serverPath, file);
+            let text = fs.readFileSync(target, 'utf8');
+            for (const mismatch of mismatches.filter(entry => entry.file === file)) {
+                const { key } = targets.find(entry => entry.key.join('.') === mismatch.key);
+                text = this.setYamlValue(text, key, mismatch.expected);
+                console.log(`🔗 ${file}: ${mismatch.key} ${mismatch.found === null ? '(unset)' : mismatch.found} -> ${mismatch.expected}`);
+            }
+            this.writeFileAtomic(target, text);
+        }
+
+        this.geyserMismatches = mismatches.map(mismatch => ({ ...mismatch, fixed: true }));
+        this.geyserCheckedAt = Date.now();
+    }
+
+    getGeyserStatus() {
+        const config = this.loadGeyserConfig();
+        const authTarget = this.getGeyserTargets(config).find(target => target.key.join('.') === 'remote.auth-type');
+        return {
+            bedrockPort: parseInt(this.bedrockPort),
+            bedrockAddress: config.bedrockAddress,
+            authType: authTarget.expected,
+            floodgatePrefix: this.floodgatePrefix,
+            floodgateInstalled: this.isFloodgateInstalled(),
+            mismatches: this.geyserMismatches,
+            checkedAt: this.geyserCheckedAt
+        };
+    }
+
+    // Minimal YAML access for plugin configs: finds "key:" at the top level or
+    // one section deep and rewrites only that line, so comments survive
+    findYamlKey(lines, keyPath) {
+        let from = 0;
+        let to = lines.length;
+        let indent = '';
+
+        if (keyPath.length === 2) {
+            const section = lines.findIndex(line => line.startsWith(`${keyPath[0]}:`));
+            if (section === -1) return { section: -1, index: -1, indent: '  ' };
+            from = section + 1;
+            const next = lines.findIndex((line, index) => index >= from && /^[^\s#]/.test(line));
+            to = next === -1 ? lines.length : next;
+            const child = lines.slice(from, to).find(line => /^\s+[^\s#]/.test(line));
+            indent = child ? child.match(/^\s+/)[0] : '  ';
+        }
+
+        const key = keyPath[keyPath.length - 1];
+        for (let index = from; index < to; index++) {
+            if (lines[index].startsWith(`${indent}${key}:`)) {
+                return { section: from - 1, index, indent };
+            }
+        }
+        return { section: from - 1, index: -1, indent };
+    }
+
+    readYamlValue(text, keyPath) {
+        const lines = text.split('\n');
+        const { index, indent } = this.findYamlKey(lines, keyPath);
+        if (index === -1) return undefined;
+
+        const raw = lines[index].slice(indent.length + keyPath[keyPath.length - 1].length + 1).trim();
+        const doubleQuoted = raw.match(/^"((?:[^"\\]|\\.)*)"\s*(?:#.*)?$/);
+        if (doubleQuoted) return this.unescapeYamlString(doubleQuoted[1]);
+        const singleQuoted = raw.match(/^'((?:[^']|'')*)'\s*(?:#.*)?$/);
+        if (singleQuoted) return singleQuoted[1].replace(/''/g, "'");
+        return raw.replace(/(^|\s+)#.*$/, '');
+    }
+
+    // YAML double-quoted escapes are a superset of JSON's (\x2E, \e, \_ ...);
+    // unknown ones are kept as written rather than failing the whole file
+    unescapeYamlString(text) {
+        const simple = {
+            '0': '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r',
+            e: '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: '\u2028', P: '\u2029'
+        };
+        return text.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (match, escape) => {
+            if (escape.length > 1) {
+                const code = parseInt(escape.slice(1), 16);
+                return code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+            }
+            return Object.hasOwn(simple, escape) ? simple[escape] : match;
+        });
+    }
+
+    setYamlValue(text, keyPath, value) {
+        const lines = text.split('\n');
+        const key = keyPath[keyPath.length - 1];
+        const plain = typeof value !== 'string' ||
+            (/^[A-Za-z][\w.\-]*$/.test(value) && !/^(true|false|yes|no|on|off|null)$/i.test(value));
+        const formatted = plain ? String(value) : JSON.stringify(value);
+        const { section, index, indent } = this.findYamlKey(lines, keyPath);
+
+        if (index !== -1) {
+            lines[index] = `${indent}${key}: ${formatted}`;
+        } else if (keyPath.length === 2 && section === -1) {
+            lines.push(`${keyPath[0]}:`, `${indent}${key}: ${formatted}`);
+        } else if (keyPath.length === 2) {
+            lines.splice(section + 1, 0, `${indent}${key}: ${formatted}`);
+        } else {
+            lines.push(`${key}: ${formatted}`);
+        }
+        return lines.join('\n');
+    }
+
+    // Container limit from cgroup v2 or v1, falling back to host memory
+    getMemoryLimitMB() {
+        const total = os.totalmem();
+        for (const file of ['/sys/fs/cgroup/memory.max', '/sys/fs/cgroup/memory/memory.limit_in_bytes']) {
+            try {
+                const limit = parseInt(fs.readFileSync(file, 'utf8'));
+                if (limit > 0 && limit < total) {
+                    return Math.floor(limit / 1024 / 1024);
+                }
+            } catch (error) {
+                // Not available on this host
+            }
+        }
+        return Math.floor(total / 1024 / 1024);
+    }
+
+    // Three quarters of the limit, leaving room for metaspace, native memory and this
+    // manager, split between this instance and any others that are running
+    getAutoHeapMB() {
+        const limit = this.getMemoryLimitMB();
+        const running = [...this.manager.instances.values()].filter(instance => instance !== this && instance.minecraftProcess).length;
+        return Math.max(256, Math.floor(Math.min(Math.floor(limit * 0.75), limit - 256) / (running + 1)));
+    }
+
+    getPresetFlags(preset, maxMemoryMB) {
+        if (preset === 'aikar') {
+            // https://docs.papermc.io/paper/aikars-flags, with the large-heap variant above 12GB
+            const large = maxMemoryMB > 12 * 1024;
+            return [
+                '-XX:+UseG1GC',
+                '-XX:+ParallelRefProcEnabled',
+                '-XX:MaxGCPauseMillis=200',
+                '-XX:+UnlockExperimentalVMOptions',
+                '-XX:+DisableExplicitGC',
+                '-XX:+AlwaysPreTouch',
+                `-XX:G1NewSizePercent=${large ? 40 : 30}`,
+                `-XX:G1MaxNewSizePercent=${large ? 50 : 40}`,
+                `-XX:G1HeapRegionSize=${large ? 16 : 8}M`,
+                `-XX:G1ReservePercent=${large ? 15 : 20}`,
+                '-XX:G1HeapWastePercent=5',
+                '-XX:G1MixedGCCountTarget=4',
+                `-XX:InitiatingHeapOccupancyPercent=${large ? 20 : 15}`,
+                '-XX:G1MixedGCLiveThresholdPercent=90',
+                '-XX:G1RSetUpdatingPauseTimePercent=5',
+                '-XX:SurvivorRatio=32',
+                '-XX:+PerfDisableSharedMem',
+                '-XX:MaxTenuringThreshold=1',
+                '-Dusing.aikars.flags=https://mcflags.emc.gs',
+                '-Daikars.new.flags=true'
+            ];
+        }
+
+        if (preset === 'default') {
+            return [
+                '-XX:+UseG1GC',
+                '-XX:MaxGCPauseMillis=200',
+                '-XX:G1HeapRegionSize=16M',
+                '-XX:+DisableExplicitGC',
+                '-XX:+UseCompressedOops',
+                '-XX:+OptimizeStringConcat'
+            ];
+        }
+
+        return [];
+    }
+
+    resolveJvmCommand() {
+        const config = this.loadJvmConfig();
+        const limit = this.getMemoryLimitMB();
+        const maxMemoryMB = config.maxMemory === 'auto'
+            ? this.getAutoHeapMB()
+            : this.parseMemorySize(config.maxMemory) || this.getAutoHeapMB();
+
+        // Aikar's flags want a fixed heap; the default preset grows from 256M
+        let minMemoryMB = config.minMemory ? this.parseMemorySize(config.minMemory) : null;
+        if (!minMemoryMB) {
+            minMemoryMB = config.preset === 'aikar' ? maxMemoryMB : Math.min(256, maxMemoryMB);
+        }
+
+        const args = [
+            `-Xmx${maxMemoryMB}M`,
+            `-Xms${minMemoryMB}M`,
+            ...this.getPresetFlags(config.preset, maxMemoryMB),
+            '-Dfile.encoding=UTF-8',
+            '-Djava.awt.headless=true',
+            '-Dpaper.playerconnection.keepalive=60',
+            ...config.extraFlags,
+            '-jar',
+            this.jarFile,
+            'nogui'
+        ];
+
+        return {
+            javaPath: config.javaPath,
+            preset: config.preset,
+            maxMemoryMB,
+            minMemoryMB,
+            memoryLimitMB: limit,
+            args,
+            commandLine: [config.javaPath, ...args].join(' ')
+        };
+    }
+
+    // Paper 1.20.5+ needs Java 21, 1.18+ Java 17, 1.17 Java 16
+    getRequiredJavaVersion() {
+        const version = this.loadManifest().server.version;
+        const match = /^1\.(\d+)(?:\.(\d+))?/.exec(version);
+        if (!match) return 21;
+
+        const minor = parseInt(match[1]);
+        const patch = parseInt(match[2] || '0');
+        if (minor > 20 || (minor === 20 && patch >= 5)) return 21;
+        if (minor >= 18) return 17;
+        if (minor === 17) return 16;
+        return 8;
+    }
+
+    async getJavaVersion(javaPath) {
+        if (!this.javaVersionCache.has(javaPath)) {
+            // "java -version" prints e.g. openjdk version "21.0.2" (or "1.8.0_392") on stderr
+            const output = await this.runProcess(javaPath, ['-version']);
+            const match = output.match(/version "([^"]+)"/);
+            if (!match) {
+                throw new Error(`Could not parse the output of ${javaPath} -version`);
+            }
+            const parts = match[1].split(/[.\-_+]/).map(part => parseInt(part));
+            this.javaVersionCache.set(javaPath, {
+                version: match[1],
+                major: parts[0] === 1 ? parts[1] : parts[0]
+            });
+        }
+        return this.javaVersionCache.get(javaPath);
+    }
+
+    async checkJavaVersion(javaPath) {
+        const required = this.getRequiredJavaVersion();
+        let java;
+        try {
+            java = await this.getJavaVersion(javaPath);
+        } catch (error) {
+            throw new Error(`Java not found at "${javaPath}": ${error.message}`);
+        }
+
+        if (java.major < required) {
+            throw new Error(`Java ${java.major} found at "${javaPath}", but this server version requires Java ${required}+`);
+        }
+        return { ...java, required };
+    }
+
+    // Ports this instance would bind that a running instance already holds
+    getPortConflicts() {
+        return this.manager.findPortConflicts(this.manager.getInstancePorts(this), { exclude: this.id, runningOnly: true });
+    }
+
+    async startMinecraftServer() {
+        if (this.minecraftProcess) {
+            console.log('⚠️  Server already running');
+            return;
+        }
+
+        if (this.worldChangeInProgress) {
+            console.error(`❌ Cannot start ${this.name}: a world change is in progress`);
+            return;
+        }
+
+        const conflicts = this.getPortConflicts();
+        if (conflicts.length > 0) {
+            console.error(`❌ Cannot start ${this.name}: ${conflicts.join('; ')}`);
+            return;
+        }
+
+        this.cancelScheduledRestart();
+        this.serverStatus = 'starting';
+        this.serverReady = false;
+        this.startTime = Date.now();
+        this.processStartedAt = Date.now();
+        this.stopRequested = false;
+        this.pendingPropertyChanges.clear();
+        this.pendingPluginChanges.clear();
+        this.pendingJvmChange = false;
+
+        try {
+            this.applyStagedUpdates();
+        } catch (error) {
+            console.error('❌ Failed to apply staged updates:', error.message);
+        }
+
+        try {
+            this.syncGeyserConfig();
+        } catch (error) {
+            console.error('❌ Failed to sync Geyser config:', error.message);
+        }
+
+        try {
+            this.ensureRconConfig();
+        } catch (error) {
+            console.error('❌ Failed to configure RCON:', error.message);
+        }
+
+        console.log('\n' + '='.repeat(60));
+        console.log(`🚀 STARTING MINECRAFT CROSSPLAY SERVER${this.id === 'default' ? '' : ` (${this.name})`}`);
+        console.log('='.repeat(60));
+        console.log('📡 Status: STARTING...');
+        console.log(`🌐 Public IP: ${this.manager.publicIP || 'Detecting...'}`);
+        console.log('⏳ Please wait while server initializes...');
+        console.log('='.repeat(60));
+
+        const jvm = this.resolveJvmCommand();
+
+        try {
+            const java = await this.checkJavaVersion(jvm.javaPath);
+            console.log(`☕ Java ${java.version} (requires ${java.required}+)`);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            this.serverStatus = 'offline';
+            this.startTime = null;
+            this.processStartedAt = null;
+            return;
+        }
+
+        console.log(`💾 JVM Settings: ${jvm.preset} preset, heap ${jvm.minMemoryMB}-${jvm.maxMemoryMB}MB (limit ${jvm.memoryLimitMB}MB)`);
+
+        // Paper binds the Java port early in startup, so the sleep listener has to let go first
+        await this.stopSleepListener();
+
+        this.jvmCommand = jvm;
+        this.minecraftProcess = spawn(jvm.javaPath, jvm.args, {
+            cwd: this.serverPath,
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+
+        // Writes racing a JVM that just exited fail with EPIPE asynchronously;
+        // unhandled, that error would take the whole manager down
+        this.minecraftProcess.stdin.on('error', (error) => {
+            console.log(`⚠️  Minecraft console input closed: ${error.message}`);
+        });
+
+        this.startHealthChecks();
+
+        // Read output line by line so chunk boundaries don't split console lines
+        readline.createInterface({ input: this.minecraftProcess.stdout }).on('line', (message) => {
+            if (!message.trim()) return;
+            // Bypass console.log so these lines stay out of the manager log
+            process.stdout.write(`[${this.id === 'default' ? 'MC' : `MC:${this.id}`}]: ${message}\n`);
+            this.appendConsoleLine('stdout', message);
+
+            if (message.includes('Done (') && message.includes('For help, type "help"')) {
+                this.markServerOnline();
+            }
+
+            if (message.includes('Geyser') && message.includes('Started Geyser')) {
+                console.log('🔗 Crossplay bridge (Geyser) is ONLINE!');
+            }
+
+            if (message.includes('ViaVersion') && message.includes('enabled')) {
+                console.log('🔄 Multi-version support (ViaVersion) is ONLINE!');
+            }
+
+            const playerEvent = this.parsePlayerEvent(message);
+            if (playerEvent) {
+                this.handlePlayerEvent(playerEvent);
+            }
+        });
+
+        readline.createInterface({ input: this.minecraftProcess.stderr }).on('line', (error) => {
+            if (!error.trim()) return;
+            this.appendConsoleLine('stderr', error);
+            if (error.includes('ERROR') || error.includes('FATAL') || error.includes('OutOfMemoryError')) {
+                process.stderr.write(`[${this.id === 'default' ? 'MC' : `MC:${this.id}`} ERROR]: ${error}\n`);
+            }
+        });
+
+        this.minecraftProcess.on('error', (error) => {
+            console.error(`❌ Failed to start Minecraft server:`, error.message);
+            this.serverStatus = 'offline';
+            this.serverReady = false;
+            this.startTime = null;
+        });
+
+        this.minecraftProcess.on('close', (code, signal) => {
+            console.log(`\n⏹️  Minecraft server exited with code ${code}${signal ? ` (${signal})` : ''}`);
+            const uptime = this.processStartedAt ? Date.now() - this.processStartedAt : 0;
+            const stopRequested = this.stopRequested;
+
+            this.minecraftProcess = null;
+            this.serverStatus = 'offline';
+            this.serverReady = false;
+            this.startTime = null;
+            this.stopRequested = false;
+
+            this.stopMetricsCollection();
+            this.stopHealthChecks();
+            this.stopIdleWatch();
+            this.disconnectRcon();
+            this.clearOnlinePlayers();
+
+            this.handleServerExit(code, signal, stopRequested, uptime);
+        });
+    }
+
+    handleServerExit(code, signal, stopRequested, uptime) {
+        if (stopRequested) {
+            console.log('✅ Server stopped normally.');
+            this.notify('stopped', 'Server stopped', { uptimeSeconds: Math.round(uptime / 1000) });
+            return;
+        }
+
+        const crashed = code !== 0;
+        if (crashed) {
+            console.log('💥 Server crashed! Check the error messages above.');
+            const crash = this.recordCrash(code, signal, uptime);
+            this.notify('crashed', `Server crashed with exit code ${code}${signal ? ` (${signal})` : ''}`, {
+                uptimeSeconds: crash.uptimeSeconds,
+                crashReport: crash.crashReport ? crash.crashReport.file : null,
+                lastLine: crash.lastLines[crash.lastLines.length - 1] || null
+            });
+        } else {
+            console.log('✅ Server exited on its own.');
+            this.notify('stopped', 'Server exited on its own', { uptimeSeconds: Math.round(uptime / 1000) });
+        }
+
+        if (this.restartPolicy === 'never' || (!crashed && this.restartPolicy !== 'always')) {
+            return;
+        }
+
+        // Only crashes inside the window count towards giving up
+        const now = Date.now();
+        if (crashed) {
+            this.crashTimes.push(now);
+        }
+        this.crashTimes = this.crashTimes.filter(time => now - time < this.restartWindow);
+
+        if (this.crashTimes.length >= this.restartMaxCrashes) {
+            this.restartGaveUp = true;
+            console.log(`❌ ${this.crashTimes.length} crashes within ${Math.round(this.restartWindow / 60000)} minutes. Server will remain offline.`);
+            this.notify('restart-limit-reached', `${this.crashTimes.length} crashes within ${Math.round(this.restartWindow / 60000)} minutes, automatic restarts stopped`);
+            return;
+        }
+
+        const delay = Math.min(
+            this.restartBackoffBase * Math.pow(2, Math.max(this.crashTimes.length - 1, 0)),
+            this.restartBackoffMax
+        );
+        this.scheduleRestart(delay);
+    }
+
+    scheduleRestart(delay) {
+        this.cancelScheduledRestart();
+        this.nextRestartAt = Date.now() + delay;
+        console.log(`🔄 Auto-restarting in ${Math.round(delay / 1000)} seconds... (${this.crashTimes.length}/${this.restartMaxCrashes} crashes in window)`);
+
+        this.restartTimer = setTimeout(() => {
+            this.restartTimer = null;
+            this.nextRestartAt = null;
+            this.startMinecraftServer();
+        }, delay);
+    }
+
+    cancelScheduledRestart() {
+        if (this.restartTimer) {
+            clearTimeout(this.restartTimer);
+            this.restartTimer = null;
+            this.nextRestartAt = null;
+        }
+    }
+
+    getSupervisorStatus() {
+        const now = Date.now();
+        return {
+            policy: this.restartPolicy,
+            crashesInWindow: this.crashTimes.filter(time => now - time < this.restartWindow).length,
+            maxCrashes: this.restartMaxCrashes,
+            windowSeconds: Math.round(this.restartWindow / 1000),
+            nextRestartAt: this.nextRestartAt,
+            gaveUp: this.restartGaveUp
+        };
+    }
+
+    recordCrash(code, signal, uptime) {
+        const crash = {
+            id: `crash-${Date.now()}`,
+            time: Date.now(),
+            exitCode: code,
+            signal: signal || null,
+            uptimeSeconds: Math.round(uptime / 1000),
+            lastLines: this.consoleBuffer.slice(-this.crashLogLines).map(line => line.text),
+            crashReport: this.findCrashReport()
+        };
+
+        const crashes = this.loadCrashes();
+        crashes.push(crash);
+        this.saveCrashes(crashes.slice(-50));
+
+        if (crash.crashReport) {
+            console.log(`📄 Crash report saved: ${crash.crashReport.file}`);
+        }
+        return crash;
+    }
+
+    // Picks up a crash-reports/ file written since the process started
+    findCrashReport() {
+        const reportsDir = path.join(this.serverPath, 'crash-reports');
+        if (!fs.existsSync(reportsDir) || !this.processStartedAt) return null;
+
+        const report = fs.readdirSync(reportsDir)
+            .filter(file => file.endsWith('.txt'))
+            .map(file => ({ file, mtime: fs.statSync(path.join(reportsDir, file)).mtimeMs }))
+            .filter(entry => entry.mtime >= this.processStartedAt)
+            .sort((a, b) => b.mtime - a.mtime)[0];
+        if (!report) return null;
+
+        const content = fs.readFileSync(path.join(reportsDir, report.file), 'utf8');
+        return {
+            file: `crash-reports/${report.file}`,
+            content: content.length > 65536 ? content.slice(0, 65536) + '\n[truncated]' : content
+        };
+    }
+
+    loadCrashes() {
+        try {
+            const crashesPath = path.join(this.dataPath, 'crashes.json');
+            if (fs.existsSync(crashesPath)) {
+                return JSON.parse(fs.readFileSync(crashesPath, 'utf8'));
+            }
+        } catch (error) {
+            console.log('⚠️  Could not load crash history:', error.message);
+        }
+        return [];
+    }
+
+    saveCrashes(crashes) {
+        try {
+            if (!fs.existsSync(this.dataPath)) {
+                fs.mkdirSync(this.dataPath, { recursive: true });
+            }
+            fs.writeFileSync(path.join(this.dataPath, 'crashes.json'), JSON.stringify(crashes, null, 2));
+        } catch (error) {
+            console.log('⚠️  Could not save crash history:', error.message);
+        }
+    }
+
+    markServerOnline() {
+        if (this.serverStatus !== 'starting') return;
+
+        this.serverStatus = 'online';
+        this.serverReady = true;
+        this.restartGaveUp = false;
+        console.log('\n' + '🎉'.repeat(20));
+        console.log('✅ CROSSPLAY SERVER IS NOW ONLINE!');
+        console.log('🎉'.repeat(20));
+
+        this.startMetricsCollection();
+        this.startIdleWatch();
+        this.runQueuedTasks();
+        this.connectRcon();
+        this.notify('started', 'Server is online', { java: `${this.manager.publicIP || this.manager.localIP}:${this.javaPort}` });
+        setTimeout(() => this.displayConnectionInfo(), 1000);
+    }
+
+    displayConnectionInfo() {
+        console.log('\n' + '='.repeat(70));
+        console.log('🎮 MINECRAFT CROSSPLAY SERVER IS ONLINE! 🎮');
+        console.log('='.repeat(70));
+
+        if (this.manager.publicIP && this.manager.publicIP !== 'Unable to detect') {
+            console.log('\n📋 SHARE WITH FRIENDS:');
+            console.log(`   Java Edition: ${this.manager.publicIP}:${this.javaPort}`);
+            console.log(`   Bedrock Edition: ${this.manager.publicIP}:${this.bedrockPort}`);
+            console.log('   ✅ No port forwarding needed!');
+        }
+
+        console.log(`\n🌐 Web Management: https://${this.manager.publicIP}`);
+
+        console.log('\n🎯 SUPPORTED VERSIONS:');
+        console.log('   📱 Java Edition: 1.8.x to 1.21.x (ALL VERSIONS)');
+        console.log('   🎮 Bedrock Edition: All platforms');
+        console.log('\n💾 FEATURES: Crossplay, Multi-version, Memory optimized');
+        console.log('='.repeat(70) + '\n');
+    }
+
+    // Warns players, saves the world and waits for the process to exit, killing
+    // it only after the kill timeout. Resolves once the server is down; calls
+    // made while a shutdown is already running share its promise.
+    stopMinecraftServer({ countdown = this.shutdownCountdown, action = 'stopping' } = {}) {
+        this.cancelScheduledRestart();
+
+        if (!this.minecraftProcess) {
+            return Promise.resolve();
+        }
+        if (this.shutdownPromise) {
+            return this.shutdownPromise;
+        }
+
+        this.shutdownPromise = this.runShutdown(countdown, action).finally(() => {
+            this.shutdownPromise = null;
+            this.shutdownState = null;
+        });
+        return this.shutdownPromise;
+    }
+
+    async runShutdown(countdown, action) {
+        const stoppingProcess = this.minecraftProcess;
+        const playersOnline = this.serverReady && this.onlinePlayers.size > 0;
+
+        this.serverStatus = 'stopping';
+        this.stopRequested = true;
+        this.shutdownState = { action, startedAt: Date.now(), stopAt: Date.now() + (playersOnline ? countdown * 1000 : 0) };
+        console.log(`\n⏹️  ${action === 'restarting' ? 'Restarting' : 'Stopping'} Minecraft server...`);
+
+        // Nobody to warn, so skip straight to saving
+        if (playersOnline && countdown > 0) {
+            const marks = [600, 300, 120, 60, 30, 10, 5, 4, 3, 2, 1].filter(mark => mark < countdown);
+            let remaining = countdown;
+            for (const mark of [countdown, ...marks]) {
+                await new Promise(resolve => setTimeout(resolve, (remaining - mark) * 1000));
+                remaining = mark;
+                if (this.minecraftProcess !== stoppingProcess) return;
+                this.executeCommand(`say Server ${action} in ${this.formatCountdown(mark)}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, remaining * 1000));
+        } else if (playersOnline) {
+            this.executeCommand(`say Server ${action} now`);
+        }
+
+        if (this.minecraftProcess !== stoppingProcess) return;
+        this.stopMetricsCollection();
+
+        if (this.serverReady) {
+            console.log('💾 Saving world before shutdown...');
+            // Stop waiting for the save as soon as the JVM goes away
+            const saved = Promise.race([
+                this.waitForConsoleLine(/Saved the game/, Math.min(this.shutdownKillTimeout, 60000)),
+                new Promise(resolve => stoppingProcess.once('close', () => resolve(null)))
+            ]);
+            if (this.executeCommand('save-all flush') && !await saved && this.minecraftProcess === stoppingProcess) {
+                console.log('⚠️  World save did not confirm in time, stopping anyway');
+            }
+        }
+
+        // The JVM may have exited on its own while we waited for the save
+        if (this.minecraftProcess !== stoppingProcess) return;
+        const exited = stoppingProcess.exitCode !== null || stoppingProcess.signalCode !== null;
+
+        if (!exited) {
+            try {
+                if (!stoppingProcess.stdin.writable) {
+                    throw new Error('console input is closed');
+                }
+                stoppingProcess.stdin.write('stop\n');
+            } catch (error) {
+                console.log('⚠️  Error sending stop command, forcing shutdown...');
+                stoppingProcess.kill('SIGTERM');
+            }
+        }
+
+        if (!await this.waitForServerStop(this.shutdownKillTimeout)) {
+            // Only kill the process we asked to stop, not one started since
+            if (this.minecraftProcess === stoppingProcess) {
+                console.log(`⚠️  Server did not exit within ${Math.round(this.shutdownKillTimeout / 1000)}s, force stopping...`);
+                stoppingProcess.kill('SIGKILL');
+                await this.waitForServerStop(10000);
+            }
+        }
+    }
+
+    async restartMinecraftServer(countdown = this.shutdownCountdown) {
+        await this.stopMinecraftServer({ countdown, action: 'restarting' });
+
+        if (this.restoreInProgress || this.manager.processExiting) return;
+        await this.startMinecraftServer();
+    }
+
+    // Request delay in seconds; the configured countdown when omitted
+    parseCountdown(value) {
+        if (value === undefined || value === null || value === '') {
+            return this.shutdownCountdown;
+        }
+        const seconds = Number(value);
+        return Number.isInteger(seconds) && seconds >= 0 && seconds <= 3600 ? seconds : null;
+    }
+
+    formatCountdown(seconds) {
+        if (seconds >= 60 && seconds % 60 === 0) {
+            const minutes = seconds / 60;
+            return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+        }
+        return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    }
+
+    // RCON when connected and the command fits in a packet, otherwise stdin
+    // of the process we started; null when the command can't be sent at all
+    getCommandChannel(command) {
+        if (!this.serverReady || typeof command !== 'string' || !command.trim()) return null;
+        if (/[\r\n]/.test(command)) {
+            console.log('⚠️  Refusing a command containing line breaks');
+            return null;
+        }
+        if (this.rcon && Buffer.byteLength(command) <= this.rcon.maxBodyBytes) return 'rcon';
+        return this.minecraftProcess && this.minecraftProcess.stdin.writable ? 'stdin' : null;
+    }
+
+    executeCommand(command) {
+        const channel = this.getCommandChannel(command);
+        if (channel === 'rcon') {
+            this.sendRconCommand(command).catch(() => {});
+            return true;
+        }
+        if (channel === 'stdin') {
+            try {
+                this.minecraftProcess.stdin.write(`${command}\n`);
+                console.log(`[COMMAND]: ${command}`);
+                this.appendConsoleLine('command', command);
+                return true;
+            } catch (error) {
+                console.log('⚠️  Error executing command:', error.message);
+            }
+        }
+        return false;
+    }
+
+    // The reply goes into the console as "reply" lines, so console watchers
+    // (e.g. waiting for "Saved the game") see it like stdout output
+    async sendRconCommand(command, timeout) {
+        console.log(`[RCON]: ${command}`);
+        this.appendConsoleLine('command', command);
+        try {
+            const reply = await this.rcon.command(command, timeout);
+            return reply.split('\n').filter(text => text.trim()).map(text => this.appendConsoleLine('reply', text));
+        } catch (error) {
+            console.log(`⚠️  RCON command failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Sends a command and collects its output. Over RCON that is exactly the
+    // server's reply; on stdin it is the console lines that follow until the
+    // output goes quiet or the timeout expires, which may include unrelated
+    // lines logged in that window.
+    runCommandWithCapture(command, { timeout = 5000, quietPeriod = 500 } = {}) {
+        const result = {
+            id: ++this.commandSequence,
+            command: command,
+            status: 'pending',
+            output: [],
+            sentAt: Date.now(),
+            completedAt: null
+        };
+
+        let quietTimer = null;
+        let timeoutTimer = null;
+        let finish;
+        const promise = new Promise(resolve => { finish = resolve; });
+
+        const listener = (line) => {
+            if (line.stream === 'command') return;
+            result.output.push(line);
+            clearTimeout(quietTimer);
+            quietTimer = setTimeout(complete, quietPeriod);
+        };
+
+        const complete = (status = 'completed') => {
+            clearTimeout(quietTimer);
+            clearTimeout(timeoutTimer);
+            this.consoleListeners.delete(listener);
+            result.status = status;
+            result.completedAt = Date.now();
+            finish(result);
+        };
+
+        const channel = this.getCommandChannel(command);
+        if (channel === 'rcon') {
+            result.channel = 'rcon';
+            this.sendRconCommand(command, timeout).then((lines) => {
+                result.output = lines;
+                complete();
+            }, () => complete('failed'));
+        } else {
+            result.channel = 'stdin';
+            this.consoleListeners.add(listener);
+            if (!channel || !this.executeCommand(command)) {
+                this.consoleListeners.delete(listener);
+                return null;
+            }
+            timeoutTimer = setTimeout(complete, timeout);
+        }
+
+        this.commandResults.set(result.id, result);
+        if (this.commandResults.size > this.maxCommandResults) {
+            this.commandResults.delete(this.commandResults.keys().next().value);
+        }
+
+        return { result, promise };
+    }
+
+    startIdleWatch() {
+        if (this.idleSleepMinutes <= 0 || this.rconExternal) return;
+        this.stopIdleWatch();
+        this.idleSince = Date.now();
+        this.idleTimer = setInterval(() => this.checkIdle(), 30000);
+    }
+
+    stopIdleWatch() {
+        clearInterval(this.idleTimer);
+        this.idleTimer = null;
+        this.idleSince = null;
+    }
+
+    checkIdle() {
+        if (this.serverStatus !== 'online' || this.shutdownPromise) return;
+
+        // Players, backups and updates all keep the server awake
+        if (this.onlinePlayers.size > 0 || this.backupInProgress || this.updateInProgress) {
+            this.idleSince = null;
+            return;
+        }
+        if (this.idleSince === null) {
+            this.idleSince = Date.now();
+            return;
+        }
+        if (Date.now() - this.idleSince >= this.idleSleepMinutes * 60 * 1000) {
+            this.goToSleep();
+        }
+    }
+
+    async goToSleep() {
+        console.log(`😴 No players for ${this.formatCountdown(this.idleSleepMinutes * 60)}, putting ${this.name} to sleep`);
+        await this.stopMinecraftServer({ countdown: 0 });
+
+        // Someone may have started it again in the meantime
+        if (this.minecraftProcess || this.manager.processExiting) return;
+        this.startSleepListener();
+    }
+
+    startSleepListener() {
+        if (this.sleepListener) return;
+
+        const server = net.createServer(socket => this.handleSleepConnection(socket));
+        server.on('error', (error) => {
+            console.error(`❌ ${this.name}: could not listen on port ${this.javaPort} while sleeping: ${error.message}`);
+            if (this.sleepListener === server) {
+                this.sleepListener = null;
+                this.sleepingSince = null;
+            }
+        });
+        server.listen(parseInt(this.javaPort), '0.0.0.0', () => {
+            console.log(`😴 ${this.name} is asleep; port ${this.javaPort} will wake it on the next join`);
+        });
+
+        this.sleepListener = server;
+        this.sleepingSince = Date.now();
+    }
+
+    stopSleepListener() {
+        const server = this.sleepListener;
+        if (!server) return Promise.resolve();
+
+        this.sleepListener = null;
+        this.sleepingSince = null;
+        for (const socket of this.sleepSockets) {
+            socket.destroy();
+        }
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+
+    // Speaks just enough of the protocol: handshake, then either a status
+    // request (answered with the sleeping motd) or a login start (answered
+    // with a disconnect message, and the server is started)
+    handleSleepConnection(socket) {
+        let buffer = Buffer.alloc(0);
+        let state = 'handshake';
+        let protocol = -1;
+
+        this.sleepSockets.add(socket);
+        socket.on('close', () => this.sleepSockets.delete(socket));
+        socket.on('error', () => {});
+        socket.setTimeout(10000, () => socket.destroy());
+
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+
+            // Pre-1.7 clients open with 0xFE; they can't be answered in this format
+            if (state === 'handshake' && buffer[0] === 0xfe) {
+                socket.destroy();
+                return;
+            }
+
+            try {
+                while (true) {
+                    const length = this.readVarInt(buffer);
+                    if (!length || buffer.length < length.size + length.value) return;
+                    if (length.value > 32767) throw new Error('Packet too large');
+
+                    const packet = buffer.subarray(length.size, length.size + length.value);
+                    buffer = buffer.subarray(length.size + length.value);
+                    const id = this.readVarInt(packet);
+
+                    if (state === 'handshake') {
+                        if (id.value !== 0x00) throw new Error('Expected a handshake');
+                        const version = this.readVarInt(packet, id.size);
+                        const address = this.readVarInt(packet, id.size + version.size);
+                        const nextState = this.readVarInt(packet, id.size + version.size + address.size + address.value + 2);
+                        protocol = version.value;
+                        state = nextState.value === 1 ? 'status' : 'login';
+                    } else if (state === 'status' && id.value === 0x00) {
+                        const maxPlayers = parseInt(this.readServerProperties().values['max-players']) || 20;
+                        socket.write(this.buildMinecraftPacket(0x00, this.encodeMinecraftString(JSON.stringify({
+                            // Echo the client's protocol so the entry isn't shown as incompatible
+                            version: { name: 'Sleeping', protocol },
+                            players: { max: maxPlayers, online: 0 },
+                            description: { text: this.sleepMotd }
+                        }))));
+                    } else if (state === 'status' && id.value === 0x01) {
+                        socket.end(this.buildMinecraftPacket(0x01, packet.subarray(id.size)));
+                        return;
+                    } else if (state === 'login' && id.value === 0x00) {
+                        const nameLength = this.readVarInt(packet, id.size);
+                        const name = packet.toString('utf8', id.size + nameLength.size, id.size + nameLength.size + nameLength.value);
+                        socket.end(this.buildMinecraftPacket(0x00, this.encodeMinecraftString(JSON.stringify({
+                            text: 'The server is starting up, please reconnect in a minute.'
+                        }))));
+                        this.wakeFromSleep(`${name || 'a player'} tried to join`);
+                        return;
+                    } else {
+                        throw new Error(`Unexpected packet 0x${id.value.toString(16)} in ${state} state`);
+                    }
+                }
+            } catch (error) {
+                socket.destroy();
+            }
+        });
+    }
+
+    wakeFromSleep(reason) {
+        // A second login while the first one is already waking the server
+        if (!this.sleepListener || this.serverStatus !== 'offline') return;
+        console.log(`⏰ Waking ${this.name}: ${reason}`);
+        this.startMinecraftServer();
+    }
+
+    encodeMinecraftString(text) {
+        const bytes = Buffer.from(text, 'utf8');
+        return Buffer.concat([this.writeVarInt(bytes.length), bytes]);
+    }
+
+    // Turns RCON on with a generated password and a port no other instance
+    // uses. Operators are not told about every command the manager sends.
+    ensureRconConfig() {
+        if (!this.rconEnabled) return;
+
+        const properties = this.readServerProperties().values;
+        const updates = {};
+        if (properties['enable-rcon'] !== 'true') {
+            updates['enable-rcon'] = 'true';
+            updates['broadcast-rcon-to-ops'] = 'false';
+        }
+        if (!properties['rcon.password']) {
+            updates['rcon.password'] = crypto.randomBytes(18).toString('base64url');
+        }
+
+        let port = parseInt(properties['rcon.port']) || 25575;
+        const taken = candidate => candidate === parseInt(this.javaPort) ||
+            this.manager.findPortConflicts([{ port: candidate, protocol: 'tcp', use: 'rcon' }], { exclude: this.id }).length > 0;
+        while (taken(port)) {
+            port++;
+        }
+        if (String(port) !== properties['rcon.port']) {
+            updates['rcon.port'] = String(port);
+        }
+
+        if (Object.keys(updates).length > 0) {
+            this.writeServerProperties(updates);
+            console.log(`🔌 RCON configured on port ${port}${updates['rcon.password'] ? ' with a new password' : ''}`);
+        }
+    }
+
+    async connectRcon() {
+        if (!this.rconEnabled || this.rcon) return this.rcon;
+        clearTimeout(this.rconReconnectTimer);
+
+        const properties = this.readServerProperties().values;
+        if (properties['enable-rcon'] !== 'true' || !properties['rcon.password']) {
+            return null;
+        }
+
+        const client = new RconClient({
+            host: '127.0.0.1',
+            port: parseInt(properties['rcon.port']) || 25575,
+            password: properties['rcon.password']
+        });
+
+        try {
+            await client.connect();
+        } catch (error) {
+            this.rconLastError = error.message;
+            if (this.minecraftProcess) {
+                console.log(`⚠️  RCON unavailable (${error.message}), sending commands through stdin`);
+            }
+            return null;
+        }
+
+        // The server may have stopped while we were connecting
+        if (!this.serverReady && !this.rconExternal && this.minecraftProcess) {
+            client.close();
+            return null;
+        }
+
+        this.rcon = client;
+        this.rconLastError = null;
+        client.on('close', () => this.handleRconClose(client));
+        console.log(`🔌 RCON connected on port ${client.port}`);
+        return client;
+    }
+
+    handleRconClose(client) {
+        if (this.rcon !== client) return;
+        this.rcon = null;
+
+        if (this.rconExternal) {
+            this.rconExternal = false;
+            this.serverStatus = 'offline';
+            this.serverReady = false;
+            console.log(`⏹️  ${this.name}: RCON connection to the external server closed, marking it offline`);
+            return;
+        }
+
+        if (this.minecraftProcess && this.serverReady && !this.shutdownPromise) {
+            console.log('⚠️  RCON connection lost, using stdin until it reconnects');
+            this.rconReconnectTimer = setTimeout(() => this.connectRcon(), 10000);
+        }
+    }
+
+    disconnectRcon() {
+        clearTimeout(this.rconReconnectTimer);
+        if (this.rcon) {
+            const client = this.rcon;
+            this.rcon = null;
+            client.close();
+        }
+    }
+
+    // A server started outside the manager (or left running by an earlier
+    // manager process) can still be driven over RCON, though not restarted
+    async attachExternalServer() {
+        if (this.minecraftProcess || this.rcon) return false;
+
+        const client = await this.connectRcon();
+        if (!client) return false;
+
+        this.rconExternal = true;
+        this.serverStatus = 'online';
+        this.serverReady = true;
+        console.log(`🔌 ${this.name}: attached over RCON to a server that is already running`);
+        return true;
+    }
+
+    async stopExternalServer() {
+        this.serverStatus = 'stopping';
+        console.log(`⏹️  Stopping the externally started ${this.name} server over RCON...`);
+        try {
+            await this.sendRconCommand('stop');
+        } catch (error) {
+            // The connection usually drops before the reply arrives
+        }
+    }
+
+    getRconStatus() {
+        const properties = this.readServerProperties().values;
+        return {
+            enabled: this.rconEnabled && properties['enable-rcon'] === 'true',
+            port: parseInt(properties['rcon.port']) || 25575,
+            connected: !!this.rcon,
+            external: this.rconExternal,
+            lastError: this.rconLastError
+        };
+    }
+
+    // Stops timers before the instance is removed from the manager
+    dispose() {
+        clearTimeout(this.backupTimer);
+        clearTimeout(this.schedulerTimer);
+        this.cancelScheduledRestart();
+        this.stopHealthChecks();
+        this.stopMetricsCollection();
+        this.stopIdleWatch();
+        this.stopSleepListener();
+        this.disconnectRcon();
+        this.serverLog.close();
+        for (const client of this.consoleClients) {
+            client.end();
+        }
+    }
+}
+
+// Owns the web app, authentication, notifications and the Minecraft instances.
+// The "default" instance comes from the environment and is also served at the
+// root paths; others live under /instances/:id and in data/instances.json.
+class MinecraftServerManager {
+    constructor() {
+        this.app = express();
+        this.webPort = process.env.PORT || 3000;
+        this.isProduction = process.env.NODE_ENV === 'production';
+        this.localIP = this.getLocalIP();
+        this.publicIP = null;
+        this.processExiting = false;
+
+        // Rotating log files: the manager's own output here, each instance's
+        // server output in its own log (see getInstanceOptions)
+        this.logPath = process.env.LOG_PATH || './logs';
+        this.logOptions = {
+            maxBytes: (parseInt(process.env.LOG_MAX_SIZE_MB) || 10) * 1024 * 1024,
+            maxAge: (parseInt(process.env.LOG_MAX_AGE_HOURS) || 24) * 60 * 60 * 1000,
+            retention: parseInt(process.env.LOG_RETENTION) || 14
+        };
+        this.managerLog = new RotatingLog(this.logPath, 'manager', this.logOptions);
+        this.captureConsole();
+
+        // Manager-owned state (tokens, etc.) lives outside the Minecraft directory
+        this.dataPath = process.env.DATA_PATH || './data';
+        this.sessions = new Map();
+        this.roleLevels = { viewer: 1, operator: 2, admin: 3 };
+        this.sessionTTL = 12 * 60 * 60 * 1000;
+        this.apiTokens = [];
+        this.loginFailures = new Map();
+
+        // Append-only trail of every mutating API request, one JSON object per line
+        this.auditPath = path.join(this.dataPath, 'audit.jsonl');
+
+        // Outbound notifications: targets from the environment plus those managed
+        // through /webhooks (data/webhooks.json), each with its own send queue
+        this.webhookEvents = [
+            'started', 'stopped', 'crashed', 'restart-limit-reached', 'memory-warning',
+            'player-join', 'player-leave', 'backup-completed', 'backup-failed'
+        ];
+        this.webhooks = this.loadWebhooks();
+        this.webhookQueues = new Map();
+        this.webhookMinInterval = parseInt(process.env.WEBHOOK_MIN_INTERVAL) || 2000;
+        this.webhookMaxQueue = 50;
+        this.webhookRetries = 3;
+
+        // Minecraft instances by id
+        this.instancesPath = process.env.INSTANCES_PATH || './instances';
+        this.instanceConfigs = [];
+        this.instances = new Map();
+
+        this.setupExpress();
+        this.setupAuth();
+        this.setupRoutes();
+        this.loadInstances();
+        this.getPublicIP();
+
+        // Start initialization sequence for production; anything not started
+        // here may still be running from outside and is picked up over RCON
+        const autoStart = new Set(this.isProduction
+            ? ['default', ...this.instanceConfigs.filter(entry => entry.autoStart).map(entry => entry.id)]
+            : []);
+        for (const instance of this.instances.values()) {
+            if (autoStart.has(instance.id)) {
+                instance.initializeServer();
+            } else {
+                instance.attachExternalServer();
+            }
+        }
+    }
+
+    // Mirror console output into the manager log. Minecraft's own lines are
+    // written straight to stdout and land in the instance logs instead.
+    captureConsole() {
+        for (const [method, level] of [['log', 'INFO'], ['warn', 'WARN'], ['error', 'ERROR']]) {
+            const original = console[method].bind(console);
+            console[method] = (...args) => {
+                original(...args);
+                const text = util.format(...args).trim();
+                if (text) {
+                    this.managerLog.write(level, text);
+                }
+            };
+        }
+    }
+
+    getLocalIP() {
+        try {
+            const interfaces = os.networkInterfaces();
+            for (const name of Object.keys(interfaces)) {
+                for (const networkInterface of interfaces[name]) {
+                    if (networkInterface.family === 'IPv4' && !networkInterface.internal) {
+                        return networkInterface.address;
+                    }
+                }
+            }
+        } catch (error) {
+            console.log('⚠️  Error detecting local IP:', error.message);
+        }
+        return this.isProduction ? '0.0.0.0' : '127.0.0.1';
+    }
+
+    async getPublicIP() {
+        try {
+            // Check for platform-specific environment variables
+            if (process.env.RAILWAY_STATIC_URL) {
+                this.publicIP = process.env.RAILWAY_STATIC_URL.replace('https://', '').replace('http://', '');
+                console.log(`🌐 Railway Domain: ${this.publicIP}`);
+                return;
+            }
 
-                request.on('error', (err) => {
-                    file.close();
-                    if (fs.existsSync(filepath)) {
-                        fs.unlinkSync(filepath);
-                    }
-                    reject(err);
-                });
+            if (process.env.KOYEB_PUBLIC_DOMAIN) {
+                this.publicIP = process.env.KOYEB_PUBLIC_DOMAIN.replace('https://', '').replace('http://', '');
+                console.log(`🌐 Koyeb Domain: ${this.publicIP}`);
+                return;
+            }
 
-                request.on('timeout', () => {
-                    request.destroy();
-                    file.close();
-                    if (fs.existsSync(filepath)) {
-                        fs.unlinkSync(filepath);
-                    }
-                    reject(new Error('Download timeout'));
+            // Fallback to external IP detection
+            const https = require('https');
+            const options = {
+                hostname: 'api.ipify.org',
+                port: 443,
+                path: '/',
+                method: 'GET',
+                timeout: 5000
+            };
+
+            const req = https.request(options, (res) => {
+                let data = '';
+                res.on('data', (chunk) => {
+                    data += chunk;
+                });
+                res.on('end', () => {
+                    this.publicIP = data.trim();
+                    console.log(`🌐 Public IP detected: ${this.publicIP}`);
                 });
             });
+
+            req.on('error', (error) => {
+                console.log('⚠️  Could not detect public IP:', error.message);
+                this.publicIP = this.isProduction ? 'production-server' : '127.0.0.1';
+            });
+
+            req.on('timeout', () => {
+                req.destroy();
+                this.publicIP = this.isProduction ? 'production-server' : '127.0.0.1';
+            });
+
+            req.end();
         } catch (error) {
-            console.error(`❌ Error downloading ${description}:`, error.message);
-            throw error;
+            this.publicIP = this.isProduction ? 'production-server' : '127.0.0.1';
         }
     }
 
     setupExpress() {
+        // Koyeb/Railway terminate TLS in front of us; trust that single hop for req.ip
+        if (this.isProduction) {
+            this.app.set('trust proxy', 1);
+        }
+
         this.app.use(express.json({ limit: '1mb' }));
+        this.app.use((req, res, next) => this.auditRequest(req, res, next));
         this.app.use(express.static('public', {
             maxAge: '1d',
             etag: false
@@ -288,17 +6433,33 @@ class MinecraftCrossplayServer {
             console.log('⚠️  CORS module not found, skipping...');
         }
 
+        // Healthy only if every online instance answers on its game ports
         this.app.get('/health', (req, res) => {
-            res.json({
-                status: 'healthy',
-                server: this.serverStatus,
-                initialized: this.initializationComplete,
+            const problems = [];
+            const instances = {};
+            for (const instance of this.instances.values()) {
+                const instanceProblems = instance.getGameHealthProblems();
+                problems.push(...instanceProblems.map(problem => instance.id === 'default' ? problem : `${instance.id}: ${problem}`));
+                instances[instance.id] = {
+                    server: instance.serverStatus,
+                    initialized: instance.initializationComplete,
+                    problems: instanceProblems
+                };
+            }
+
+            const main = this.instances.get('default');
+            res.status(problems.length > 0 ? 503 : 200).json({
+                status: problems.length > 0 ? 'unhealthy' : 'healthy',
+                problems: problems,
+                server: main.serverStatus,
+                initialized: main.initializationComplete,
+                game: main.gameHealth,
+                instances: instances,
                 memory: this.getMemoryUsage(),
                 timestamp: Date.now()
             });
         });
     }
-
     getMemoryUsage() {
         try {
             const used = process.memoryUsage();
@@ -312,6 +6473,419 @@ class MinecraftCrossplayServer {
         }
     }
 
+    setupAuth() {
+        // Role passwords come from the environment; an admin password is
+        // generated for this run if none is configured so the API is never open.
+        this.rolePasswords = {
+            admin: process.env.ADMIN_PASSWORD,
+            operator: process.env.OPERATOR_PASSWORD,
+            viewer: process.env.VIEWER_PASSWORD
+        };
+
+        if (!this.rolePasswords.admin) {
+            this.rolePasswords.admin = crypto.randomBytes(12).toString('base64url');
+            console.log('🔑 ADMIN_PASSWORD not set. Generated admin password for this run:');
+            console.log(`   ${this.rolePasswords.admin}`);
+        }
+
+        this.loadApiTokens();
+
+        this.app.post('/login', (req, res) => {
+            const ip = req.ip;
+            if (this.isLoginLocked(ip)) {
+                return res.status(429).json({
+                    success: false,
+                    message: 'Too many failed login attempts, try again later'
+                });
+            }
+
+            const { username, password } = req.body || {};
+            const role = this.checkRolePassword(username, password);
+            if (!role) {
+                this.recordLoginFailure(ip);
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid username or password'
+                });
+            }
+
+            this.loginFailures.delete(ip);
+            req.auth = { user: role, role: role, via: 'session' };
+
+            const sessionId = crypto.randomBytes(32).toString('hex');
+            this.sessions.set(sessionId, {
+                user: role,
+                role: role,
+                expires: Date.now() + this.sessionTTL
+            });
+
+            res.setHeader('Set-Cookie', this.buildSessionCookie(sessionId, this.sessionTTL / 1000));
+            res.json({
+                success: true,
+                message: `Logged in as ${role}`,
+                user: role,
+                role: role
+            });
+        });
+
+        this.app.post('/logout', (req, res) => {
+            const sessionId = this.parseCookies(req).mc_session;
+            if (sessionId) {
+                this.sessions.delete(sessionId);
+            }
+
+            res.setHeader('Set-Cookie', this.buildSessionCookie('', 0));
+            res.json({
+                success: true,
+                message: 'Logged out'
+            });
+        });
+
+        this.app.get('/auth/me', this.requireRole('viewer'), (req, res) => {
+            res.json({
+                success: true,
+                user: req.auth.user,
+                role: req.auth.role,
+                via: req.auth.via
+            });
+        });
+
+        // API token management (admin only). Tokens are shown once on creation
+        // and only their hashes are stored.
+        this.app.get('/auth/tokens', this.requireRole('admin'), (req, res) => {
+            res.json({
+                success: true,
+                tokens: this.apiTokens.map(({ id, name, role, createdAt }) => ({ id, name, role, createdAt }))
+            });
+        });
+
+        this.app.post('/auth/tokens', this.requireRole('admin'), (req, res) => {
+            const { name, role } = req.body || {};
+            if (!name || !Object.hasOwn(this.roleLevels, role)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Token name and a valid role (admin, operator, viewer) are required'
+                });
+            }
+
+            const token = `mcs_${crypto.randomBytes(24).toString('hex')}`;
+            const entry = {
+                id: crypto.randomBytes(6).toString('hex'),
+                name: String(name).slice(0, 64),
+                role: role,
+                hash: this.hashSecret(token),
+                createdAt: Date.now()
+            };
+
+            this.apiTokens.push(entry);
+            this.saveApiTokens();
+
+            res.json({
+                success: true,
+                message: 'Token created. Store it now, it will not be shown again.',
+                id: entry.id,
+                name: entry.name,
+                role: entry.role,
+                token: token
+            });
+        });
+
+        this.app.delete('/auth/tokens/:id', this.requireRole('admin'), (req, res) => {
+            const index = this.apiTokens.findIndex(token => token.id === req.params.id);
+            if (index === -1) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Token not found'
+                });
+            }
+
+            this.apiTokens.splice(index, 1);
+            this.saveApiTokens();
+            res.json({
+                success: true,
+                message: 'Token revoked'
+            });
+        });
+
+        // Drop expired sessions and stale login failure counters
+        setInterval(() => {
+            const now = Date.now();
+            for (const [id, session] of this.sessions) {
+                if (session.expires < now) this.sessions.delete(id);
+            }
+            for (const [ip, failure] of this.loginFailures) {
+                if (failure.resetAt < now) this.loginFailures.delete(ip);
+            }
+        }, 10 * 60 * 1000).unref();
+    }
+
+    requireRole(role) {
+        return (req, res, next) => {
+            const auth = this.authenticate(req);
+            if (!auth) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Authentication required'
+                });
+            }
+
+            const level = Object.hasOwn(this.roleLevels, auth.role) ? this.roleLevels[auth.role] : null;
+            if (typeof level !== 'number' || level < this.roleLevels[role]) {
+                return res.status(403).json({
+                    success: false,
+                    message: `This action requires the ${role} role`
+                });
+            }
+
+            req.auth = auth;
+            next();
+        };
+    }
+
+    authenticate(req) {
+        const header = req.headers.authorization || '';
+        if (header.startsWith('Bearer ')) {
+            const hash = this.hashSecret(header.slice(7).trim());
+            const token = this.apiTokens.find(entry => this.safeEqual(entry.hash, hash));
+            return token ? { user: token.name, role: token.role, via: 'token' } : null;
+        }
+
+        const sessionId = this.parseCookies(req).mc_session;
+        const session = sessionId && this.sessions.get(sessionId);
+        if (!session) return null;
+
+        if (session.expires < Date.now()) {
+            this.sessions.delete(sessionId);
+            return null;
+        }
+
+        return { user: session.user, role: session.role, via: 'session' };
+    }
+
+    checkRolePassword(username, password) {
+        if (typeof password !== 'string' || !password) return null;
+
+        // Without a username, match the highest role whose password fits.
+        // Only real roles count, never keys inherited from Object.prototype.
+        const roles = ['admin', 'operator', 'viewer'];
+        if (username && !(roles.includes(username) && Object.hasOwn(this.rolePasswords, username))) return null;
+
+        const candidates = username ? [username] : roles;
+        for (const role of candidates) {
+            const expected = this.rolePasswords[role];
+            if (expected && this.safeEqual(this.hashSecret(expected), this.hashSecret(password))) {
+                return role;
+            }
+        }
+        return null;
+    }
+
+    isLoginLocked(ip) {
+        const failure = this.loginFailures.get(ip);
+        return failure && failure.count >= 5 && failure.resetAt > Date.now();
+    }
+
+    recordLoginFailure(ip) {
+        const now = Date.now();
+        const failure = this.loginFailures.get(ip);
+        if (!failure || failure.resetAt < now) {
+            this.loginFailures.set(ip, { count: 1, resetAt: now + 15 * 60 * 1000 });
+        } else {
+            failure.count++;
+        }
+    }
+
+    hashSecret(secret) {
+        return crypto.createHash('sha256').update(String(secret)).digest('hex');
+    }
+
+    safeEqual(a, b) {
+        const bufferA = Buffer.from(a);
+        const bufferB = Buffer.from(b);
+        return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+    }
+
+    parseCookies(req) {
+        const cookies = {};
+        for (const part of (req.headers.cookie || '').split(';')) {
+            const index = part.indexOf('=');
+            if (index === -1) continue;
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        }
+        return cookies;
+    }
+
+    buildSessionCookie(value, maxAge) {
+        const secure = this.isProduction ? '; Secure' : '';
+        return `mc_session=${value}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(maxAge)}${secure}`;
+    }
+
+    loadApiTokens() {
+        const tokensPath = path.join(this.dataPath, 'tokens.json');
+        try {
+            if (fs.existsSync(tokensPath)) {
+                this.apiTokens = JSON.parse(fs.readFileSync(tokensPath, 'utf8'));
+            }
+        } catch (error) {
+            console.log('⚠️  Could not load API tokens:', error.message);
+            this.apiTokens = [];
+        }
+    }
+
+    saveApiTokens() {
+        try {
+            if (!fs.existsSync(this.dataPath)) {
+                fs.mkdirSync(this.dataPath, { recursive: true });
+            }
+            fs.writeFileSync(path.join(this.dataPath, 'tokens.json'), JSON.stringify(this.apiTokens, null, 2));
+        } catch (error) {
+            console.log('⚠️  Could not save API tokens:', error.message);
+        }
+    }
+
+    // Records each mutating request once its response is done, including
+    // rejected and aborted ones. res.json is wrapped to keep the outcome.
+    auditRequest(req, res, next) {
+        if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+
+        const startedAt = Date.now();
+        // Read now: the socket is gone by the time an aborted request closes
+        const ip = req.ip;
+        const sendJson = res.json.bind(res);
+        let result = null;
+        res.json = (body) => {
+            result = body;
+            return sendJson(body);
+        };
+
+        res.on('close', () => {
+            const auth = req.auth || null;
+            this.writeAudit({
+                time: startedAt,
+                ip: ip,
+                user: auth ? auth.user : null,
+                role: auth ? auth.role : null,
+                via: auth ? auth.via : null,
+                method: req.method,
+                route: req.originalUrl.split('?')[0],
+                instance: req.instanceId || null,
+                params: this.getAuditParams(req),
+                status: res.statusCode,
+                success: result && typeof result.success === 'boolean' ? result.success : res.statusCode < 400,
+                message: result && result.message ? String(result.message).slice(0, 500) : null,
+                aborted: !res.writableFinished,
+                durationMs: Date.now() - startedAt
+            });
+        });
+        next();
+    }
+
+    // Query and body for the audit entry, without secrets or file contents
+    getAuditParams(req) {
+        const clean = (value, key) => {
+            if (/password|secret|token|authorization|^url$/i.test(key)) return '[redacted]';
+            if (typeof value === 'string' && value.length > 200) return `[${value.length} characters]`;
+            if (Array.isArray(value)) return value.slice(0, 20).map(item => clean(item, ''));
+            if (value && typeof value === 'object') {
+                return Object.fromEntries(Object.entries(value).slice(0, 50).map(([name, item]) => [name, clean(item, name)]));
+            }
+            return value;
+        };
+
+        const params = {};
+        if (req.query && Object.keys(req.query).length > 0) {
+            params.query = clean(req.query, '');
+        }
+        if (Buffer.isBuffer(req.body)) {
+            params.body = `[${req.body.length} bytes]`;
+        } else if (req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0) {
+            params.body = clean(req.body, '');
+        }
+        return params;
+    }
+
+    writeAudit(entry) {
+        try {
+            if (!fs.existsSync(this.dataPath)) {
+                fs.mkdirSync(this.dataPath, { recursive: true });
+            }
+            fs.appendFileSync(this.auditPath, JSON.stringify(entry) + '\n');
+        } catch (error) {
+            console.log('⚠️  Could not write audit log:', error.message);
+        }
+    }
+
+    parseAuditQuery(query) {
+        const parseTime = (value, name) => {
+            if (value === undefined || value === '') return null;
+            const time = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+            if (Number.isNaN(time)) {
+                throw new Error(`${name} must be an ISO date or a timestamp in milliseconds`);
+            }
+            return time;
+        };
+
+        const outcomes = ['success', 'failure'];
+        if (query.outcome && !outcomes.includes(query.outcome)) {
+            throw new Error(`outcome must be one of ${outcomes.join(', ')}`);
+        }
+
+        return {
+            user: query.user ? String(query.user) : null,
+            ip: query.ip ? String(query.ip) : null,
+            method: query.method ? String(query.method).toUpperCase() : null,
+            route: query.route ? String(query.route).toLowerCase() : null,
+            instance: query.instance ? String(query.instance) : null,
+            outcome: query.outcome || null,
+            from: parseTime(query.from, 'from'),
+            to: parseTime(query.to, 'to'),
+            limit: Math.min(parseInt(query.limit) || 50, 500),
+            offset: Math.max(parseInt(query.offset) || 0, 0)
+        };
+    }
+
+    // Reads the trail oldest first, keeping only as many matches as the
+    // requested page needs; pages are returned newest first.
+    async searchAudit(filters) {
+        if (!fs.existsSync(this.auditPath)) {
+            return { total: 0, entries: [] };
+        }
+
+        const keep = filters.offset + filters.limit;
+        const matches = [];
+        let total = 0;
+
+        const input = fs.createReadStream(this.auditPath);
+        for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                continue;
+            }
+
+            if (filters.user && entry.user !== filters.user) continue;
+            if (filters.ip && entry.ip !== filters.ip) continue;
+            if (filters.method && entry.method !== filters.method) continue;
+            if (filters.route && !String(entry.route).toLowerCase().includes(filters.route)) continue;
+            if (filters.instance && entry.instance !== filters.instance) continue;
+            if (filters.outcome && entry.success !== (filters.outcome === 'success')) continue;
+            if (filters.from !== null && entry.time < filters.from) continue;
+            if (filters.to !== null && entry.time > filters.to) continue;
+
+            total++;
+            matches.push(entry);
+            if (matches.length > keep) {
+                matches.shift();
+            }
+        }
+
+        return {
+            total: total,
+            entries: matches.reverse().slice(filters.offset, keep)
+        };
+    }
+
     setupRoutes() {
         // Main route - will serve your custom index.html
         this.app.get('/', (req, res) => {
@@ -327,353 +6901,677 @@ class MinecraftCrossplayServer {
             }
         });
 
-        // Status endpoint - Compatible with your HTML
-        this.app.get('/status', (req, res) => {
-            const uptime = this.startTime ? Math.floor((Date.now() - this.startTime) / 1000) : 0;
+        // Webhook URLs carry credentials, so targets are admin-only
+        this.app.get('/webhooks', this.requireRole('admin'), (req, res) => {
             res.json({
-                status: this.serverStatus,
-                running: this.minecraftProcess !== null,
-                ready: this.serverReady,
-                initialized: this.initializationComplete,
-                uptime: uptime,
-                localIP: this.localIP,
-                publicIP: this.publicIP,
-                javaPort: this.javaPort,
-                bedrockPort: this.bedrockPort,
-                memory: this.getMemoryUsage(),
-                connections: {
-                    local: {
-                        java: `${this.localIP}:${this.javaPort}`,
-                        bedrock: `${this.localIP}:${this.bedrockPort}`
-                    },
-                    network: {
-                        java: `${this.localIP}:${this.javaPort}`,
-                        bedrock: `${this.localIP}:${this.bedrockPort}`
-                    },
-                    internet: this.publicIP && this.publicIP !== 'Unable to detect' ? {
-                        java: `${this.publicIP}:${this.javaPort}`,
-                        bedrock: `${this.publicIP}:${this.bedrockPort}`,
-                        note: this.isProduction ? "Direct connection available" : "Port forwarding required"
-                    } : null
-                }
+                success: true,
+                events: this.webhookEvents,
+                webhooks: this.getWebhookTargets().map(target => this.getWebhookInfo(target))
             });
         });
 
-        this.app.post('/start', (req, res) => {
-            if (this.serverStatus === 'starting' || this.serverStatus === 'online') {
-                return res.json({
+        this.app.post('/webhooks', this.requireRole('admin'), (req, res) => {
+            const body = req.body || {};
+            const webhook = {
+                id: crypto.randomBytes(6).toString('hex'),
+                name: typeof body.name === 'string' ? body.name.trim() : body.name,
+                url: body.url,
+                format: body.format || 'json',
+                events: body.events || ['*'],
+                enabled: body.enabled !== false
+            };
+
+            const errors = this.validateWebhook(webhook);
+            if (errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid webhook',
+                    errors
+                });
+            }
+
+            this.webhooks.push(webhook);
+            this.saveWebhooks();
+            res.json({
+                success: true,
+                message: `Added webhook "${webhook.name}"`,
+                webhook: this.getWebhookInfo(webhook)
+            });
+        });
+
+        this.app.delete('/webhooks/:id', this.requireRole('admin'), (req, res) => {
+            const index = this.webhooks.findIndex(webhook => webhook.id === req.params.id);
+            if (index === -1) {
+                return res.status(404).json({
+                    success: false,
+                    message: req.params.id.startsWith('env-')
+                        ? 'Webhooks from the environment cannot be removed here'
+                        : 'Webhook not found'
+                });
+            }
+
+            const [webhook] = this.webhooks.splice(index, 1);
+            this.webhookQueues.delete(webhook.id);
+            this.saveWebhooks();
+            res.json({
+                success: true,
+                message: `Deleted webhook "${webhook.name}"`
+            });
+        });
+
+        // Sends a test event straight away, bypassing the queue, and reports the outcome
+        this.app.post('/webhooks/:id/test', this.requireRole('admin'), async (req, res) => {
+            const target = this.getWebhookTargets().find(webhook => webhook.id === req.params.id);
+            if (!target) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Webhook not found'
+                });
+            }
+
+            const result = await this.deliverWebhook(target, {
+                event: 'test',
+                message: 'Test notification from the Minecraft server manager',
+                time: Date.now(),
+                // One flat field per instance so chat formats can show them too
+                details: Object.fromEntries([...this.instances.values()].map(instance => [instance.id, instance.serverStatus]))
+            });
+            res.json({
+                success: result.success,
+                message: result.success ? 'Test notification delivered' : `Delivery failed: ${result.error}`,
+                result
+            });
+        });
+
+        // Audit entries carry client IPs and request parameters, so admins only
+        this.app.get('/audit', this.requireRole('admin'), async (req, res) => {
+            let filters;
+            try {
+                filters = this.parseAuditQuery(req.query);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
+            try {
+                const result = await this.searchAudit(filters);
+                res.json({
+                    success: true,
+                    total: result.total,
+                    offset: filters.offset,
+                    limit: filters.limit,
+                    entries: result.entries
+                });
+            } catch (error) {
+                res.status(500).json({
                     success: false,
-                    message: 'Server is already starting or running'
+                    message: `Audit search failed: ${error.message}`
                 });
             }
+        });
 
-            this.startMinecraftServer();
+        this.app.get('/instances', this.requireRole('viewer'), (req, res) => {
             res.json({
                 success: true,
-                message: 'Server is starting...',
-                status: 'starting'
+                instances: [...this.instances.values()].map(instance => this.getInstanceInfo(instance))
             });
         });
 
-        this.app.post('/stop', (req, res) => {
-            if (this.serverStatus === 'offline') {
-                return res.json({
+        this.app.post('/instances', this.requireRole('admin'), async (req, res) => {
+            try {
+                const instance = await this.createInstance(req.body || {});
+                res.json({
+                    success: true,
+                    message: `Instance "${instance.name}" created`,
+                    instance: this.getInstanceInfo(instance)
+                });
+            } catch (error) {
+                res.status(error.conflicts ? 409 : 400).json({
                     success: false,
-                    message: 'Server is already offline'
+                    message: error.message,
+                    conflicts: error.conflicts
                 });
             }
-
-            this.stopMinecraftServer();
-            res.json({
-                success: true,
-                message: 'Server is stopping...',
-                status: 'stopping'
-            });
         });
 
-        this.app.post('/command', (req, res) => {
-            const { command } = req.body;
-            if (this.serverStatus !== 'online' || !command) {
-                return res.json({
+        // Files are kept unless ?deleteFiles=true; backups are always kept
+        this.app.delete('/instances/:id', this.requireRole('admin'), (req, res) => {
+            const instance = this.instances.get(req.params.id);
+            if (!instance) {
+                return res.status(404).json({
                     success: false,
-                    message: 'Server must be online and command must be provided'
+                    message: 'Instance not found'
+                });
+            }
+
+            if (instance.id === 'default') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'The default instance cannot be removed'
+                });
+            }
+
+            if (instance.minecraftProcess) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Stop the instance before removing it'
                 });
             }
 
-            this.executeCommand(command);
+            this.removeInstance(instance, req.query.deleteFiles === 'true');
             res.json({
                 success: true,
-                message: `Command sent: ${command}`
+                message: `Instance "${instance.name}" removed`
             });
         });
-    }
 
-    setupServerProperties() {
-        const propertiesPath = path.join(this.serverPath, 'server.properties');
+        // Every instance route is available under /instances/:id/...
+        this.app.use('/instances/:id', (req, res, next) => {
+            const instance = this.instances.get(req.params.id);
+            if (!instance) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Instance not found'
+                });
+            }
+            req.instanceId = instance.id;
+            instance.app(req, res, next);
+        });
 
-        const properties = `
-server-ip=0.0.0.0
-server-port=${this.javaPort}
-gamemode=survival
-difficulty=easy
-max-players=10
-motd=§aCrossplay Server §7| §eOptimized §7| §bAll Versions
-server-name=CrossplayServer
-online-mode=false
-enforce-whitelist=false
+        // ...and the default instance keeps the original root paths
+        this.app.use((req, res, next) => {
+            req.instanceId = 'default';
+            this.instances.get('default').app(req, res, next);
+        });
+    }
 
-# Optimized Settings
-view-distance=6
-simulation-distance=4
-max-tick-time=60000
+    loadInstances() {
+        try {
+            const instancesFile = path.join(this.dataPath, 'instances.json');
+            if (fs.existsSync(instancesFile)) {
+                this.instanceConfigs = JSON.parse(fs.readFileSync(instancesFile, 'utf8'));
+            }
+        } catch (error) {
+            console.log('⚠️  Could not load instances:', error.message);
+        }
 
-# Entity optimizations
-entity-activation-range.animals=16
-entity-activation-range.monsters=24
-entity-activation-range.raiders=32
-entity-activation-range.misc=8
-tick-inactive-villagers=false
+        this.instances.set('default', new MinecraftCrossplayServer(this, this.getInstanceOptions({ id: 'default', name: 'Default' })));
+        for (const config of this.instanceConfigs) {
+            this.instances.set(config.id, new MinecraftCrossplayServer(this, this.getInstanceOptions(config)));
+        }
 
-# Performance tweaks
-max-auto-save-chunks-per-tick=6
-auto-save-interval=6000
-max-world-size=10000
-network-compression-threshold=256
-enable-query=true
-enable-status=true
-enable-command-block=true
-spawn-protection=0
-allow-nether=true
-allow-end=true
-level-name=world
-require-resource-pack=false
-prevent-proxy-connections=false
-use-native-transport=true
-        `.trim();
+        if (this.instanceConfigs.length > 0) {
+            console.log(`🗂️  ${this.instances.size} instances loaded`);
+        }
+    }
 
-        if (!fs.existsSync(this.serverPath)) {
-            fs.mkdirSync(this.serverPath, { recursive: true });
+    saveInstances() {
+        if (!fs.existsSync(this.dataPath)) {
+            fs.mkdirSync(this.dataPath, { recursive: true });
         }
+        fs.writeFileSync(path.join(this.dataPath, 'instances.json'), JSON.stringify(this.instanceConfigs, null, 2));
+    }
 
-        fs.writeFileSync(propertiesPath, properties);
+    // The default instance keeps the original environment-driven paths and ports
+    getInstanceOptions(config) {
+        const backupRoot = process.env.BACKUP_PATH || './backups';
+        if (config.id === 'default') {
+            return {
+                id: 'default',
+                name: config.name,
+                serverPath: './minecraft-server',
+                javaPort: process.env.MINECRAFT_PORT || 25565,
+                bedrockPort: process.env.BEDROCK_PORT || 19132,
+                dataPath: this.dataPath,
+                backupPath: backupRoot,
+                logPath: this.logPath,
+                manifestPath: process.env.MANIFEST_PATH || './server-manifest.json',
+                backupSchedule: process.env.BACKUP_SCHEDULE
+            };
+        }
 
-        const eulaPath = path.join(this.serverPath, 'eula.txt');
-        fs.writeFileSync(eulaPath, 'eula=true');
+        const dataPath = path.join(this.dataPath, 'instances', config.id);
+        return {
+            id: config.id,
+            name: config.name,
+            serverPath: path.join(this.instancesPath, config.id),
+            javaPort: config.javaPort,
+            bedrockPort: config.bedrockPort,
+            dataPath: dataPath,
+            backupPath: path.join(backupRoot, config.id),
+            logPath: path.join(this.logPath, config.id),
+            manifestPath: path.join(dataPath, 'server-manifest.json'),
+            backupSchedule: null
+        };
     }
 
-    startMemoryMonitoring() {
-        this.memoryMonitorInterval = setInterval(() => {
-            if (this.minecraftProcess) {
-                try {
-                    exec(`ps -p ${this.minecraftProcess.pid} -o pid,rss,vsz --no-headers`, (error, stdout) => {
-                        if (!error && stdout.trim()) {
-                            const [pid, rss, vsz] = stdout.trim().split(/\s+/);
-                            const memoryMB = Math.round(rss / 1024);
-                            console.log(`📊 Minecraft Memory Usage: ${memoryMB}MB RSS`);
-
-                            if (memoryMB > 700) {
-                                console.log('⚠️  High memory usage detected.');
-                            }
-                        }
-                    });
-                } catch (error) {
-                    // Silently handle errors
-                }
-            }
-        }, 60000);
+    getInstanceInfo(instance) {
+        return {
+            id: instance.id,
+            name: instance.name,
+            status: instance.serverStatus,
+            javaPort: parseInt(instance.javaPort),
+            bedrockPort: parseInt(instance.bedrockPort),
+            players: instance.onlinePlayers.size,
+            serverPath: instance.serverPath,
+            path: instance.id === 'default' ? '/' : `/instances/${instance.id}/`
+        };
     }
 
-    stopMemoryMonitoring() {
-        if (this.memoryMonitorInterval) {
-            clearInterval(this.memoryMonitorInterval);
-            this.memoryMonitorInterval = null;
+    async createInstance(body) {
+        const id = typeof body.id === 'string' ? body.id.trim().toLowerCase() : '';
+        if (!/^[a-z0-9][a-z0-9-]{0,31}$/.test(id)) {
+            throw new Error('id must be 1-32 lowercase letters, digits or dashes');
+        }
+        if (this.instances.has(id)) {
+            throw new Error(`Instance "${id}" already exists`);
         }
-    }
 
-    async startMinecraftServer() {
-        if (this.minecraftProcess) {
-            console.log('⚠️  Server already running');
-            return;
+        const name = typeof body.name === 'string' && body.name.trim() ? body.name.trim().slice(0, 64) : id;
+        const javaPort = body.javaPort !== undefined ? parseInt(body.javaPort) : await this.findFreePort(25566, 'tcp');
+        const bedrockPort = body.bedrockPort !== undefined ? parseInt(body.bedrockPort) : await this.findFreePort(19133, 'udp');
+        for (const port of [javaPort, bedrockPort]) {
+            if (!Number.isInteger(port) || port < 1024 || port > 65535) {
+                throw new Error('Ports must be between 1024 and 65535');
+            }
         }
 
-        this.serverStatus = 'starting';
-        this.serverReady = false;
-        this.startTime = Date.now();
+        const ports = [
+            { port: javaPort, protocol: 'tcp', use: 'java' },
+            { port: bedrockPort, protocol: 'udp', use: 'bedrock' }
+        ];
+        const conflicts = this.findPortConflicts(ports);
+        for (const wanted of ports) {
+            if (!await this.isPortFree(wanted.port, wanted.protocol)) {
+                conflicts.push(`${wanted.use} port ${wanted.port}/${wanted.protocol} is already in use on this host`);
+            }
+        }
+        if (conflicts.length > 0) {
+            const error = new Error('Port conflict');
+            error.conflicts = conflicts;
+            throw error;
+        }
 
-        console.log('\n' + '='.repeat(60));
-        console.log('🚀 STARTING MINECRAFT CROSSPLAY SERVER');
-        console.log('='.repeat(60));
-        console.log('📡 Status: STARTING...');
-        console.log(`🌐 Public IP: ${this.publicIP || 'Detecting...'}`);
-        console.log('💾 Memory: Optimized for stability');
-        console.log('⏳ Please wait while server initializes...');
-        console.log('='.repeat(60));
+        const config = { id, name, javaPort, bedrockPort, autoStart: body.autoStart === true, createdAt: Date.now() };
+        const options = this.getInstanceOptions(config);
+        this.prepareInstanceFiles(options);
 
-        // Memory-optimized JVM arguments
-        const javaArgs = [
-            '-Xmx768M',                    // Maximum memory for stability
-            '-Xms256M',                    // Initial memory
-            '-XX:+UseG1GC',                // G1 garbage collector
-            '-XX:MaxGCPauseMillis=200',    // GC pause optimization
-            '-XX:G1HeapRegionSize=16M',    // G1 region size
-            '-XX:+DisableExplicitGC',
-            '-XX:+UseCompressedOops',
-            '-XX:+OptimizeStringConcat',
-            '-Dfile.encoding=UTF-8',
-            '-Djava.awt.headless=true',
-            '-Dpaper.playerconnection.keepalive=60',
-            '-jar',
-            this.jarFile,
-            'nogui'
-        ];
+        const instance = new MinecraftCrossplayServer(this, options);
+        // Query answers on the game port number unless configured otherwise;
+        // RCON gets a password of its own on first start
+        instance.writeServerProperties({ 'query.port': String(javaPort), 'rcon.password': '' });
 
-        console.log('💾 JVM Settings: Max 768MB, G1GC, Optimized');
+        this.instanceConfigs.push(config);
+        this.saveInstances();
+        this.instances.set(id, instance);
+        console.log(`🗂️  Created instance ${id} (Java ${javaPort}, Bedrock ${bedrockPort})`);
 
-        this.minecraftProcess = spawn('java', javaArgs, {
-            cwd: this.serverPath,
-            stdio: ['pipe', 'pipe', 'pipe'],
-            env: {
-                ...process.env,
-                JAVA_HOME: '/usr/lib/jvm/java-21-openjdk'
-            }
-        });
+        // Fetch whatever could not be copied from the default instance
+        instance.downloadRequiredFiles()
+            .then(() => { instance.initializationComplete = true; })
+            .catch(error => console.error(`❌ Downloads for instance ${id} failed:`, error.message));
 
-        this.minecraftProcess.stdout.on('data', (data) => {
-            const message = data.toString().trim();
-            console.log(`[MC]: ${message}`);
+        return instance;
+    }
 
-            if (message.includes('Done (') && message.includes('For help, type "help"')) {
-                this.serverStatus = 'online';
-                this.serverReady = true;
-                this.restartAttempts = 0;
-                console.log('\n' + '🎉'.repeat(20));
-                console.log('✅ CROSSPLAY SERVER IS NOW ONLINE!');
-                console.log('🎉'.repeat(20));
+    // Seeds a new instance from the default one: configs, the server jar,
+    // plugin jars and the manifest, with Geyser moved to the new Bedrock port
+    prepareInstanceFiles(options) {
+        const template = this.instances.get('default');
+        fs.mkdirSync(path.join(options.serverPath, 'plugins'), { recursive: true });
+        fs.mkdirSync(options.dataPath, { recursive: true });
 
-                this.startMemoryMonitoring();
-                setTimeout(() => this.displayConnectionInfo(), 1000);
+        for (const file of ['bukkit.yml', 'spigot.yml', 'commands.yml', 'help.yml', 'permissions.yml', 'config', template.jarFile]) {
+            const source = path.join(template.serverPath, file);
+            if (fs.existsSync(source)) {
+                fs.cpSync(source, path.join(options.serverPath, file), { recursive: true });
             }
+        }
 
-            if (message.includes('Geyser') && message.includes('Started Geyser')) {
-                console.log('🔗 Crossplay bridge (Geyser) is ONLINE!');
+        if (fs.existsSync(template.pluginsPath)) {
+            for (const file of fs.readdirSync(template.pluginsPath).filter(entry => /\.jar(\.disabled)?$/.test(entry))) {
+                fs.copyFileSync(path.join(template.pluginsPath, file), path.join(options.serverPath, 'plugins', file));
             }
+        }
 
-            if (message.includes('ViaVersion') && message.includes('enabled')) {
-                console.log('🔄 Multi-version support (ViaVersion) is ONLINE!');
+        const geyserConfig = path.join(template.pluginsPath, 'Geyser-Spigot', 'config.yml');
+        if (fs.existsSync(geyserConfig)) {
+            const text = template.setYamlValue(fs.readFileSync(geyserConfig, 'utf8'), ['bedrock', 'port'], options.bedrockPort);
+            fs.mkdirSync(path.join(options.serverPath, 'plugins', 'Geyser-Spigot'), { recursive: true });
+            fs.writeFileSync(path.join(options.serverPath, 'plugins', 'Geyser-Spigot', 'config.yml'), text);
+        }
+
+        if (fs.existsSync(template.manifestPath)) {
+            fs.copyFileSync(template.manifestPath, options.manifestPath);
+        }
+        const updateState = path.join(template.dataPath, 'updates.json');
+        if (fs.existsSync(updateState)) {
+            fs.writeFileSync(path.join(options.dataPath, 'updates.json'),
+                JSON.stringify({ ...template.loadUpdateState(), staged: [] }, null, 2));
+        }
+    }
+
+    removeInstance(instance, deleteFiles) {
+        instance.dispose();
+        this.instances.delete(instance.id);
+        this.instanceConfigs = this.instanceConfigs.filter(config => config.id !== instance.id);
+        this.saveInstances();
+
+        if (deleteFiles) {
+            fs.rmSync(instance.serverPath, { recursive: true, force: true });
+            fs.rmSync(instance.dataPath, { recursive: true, force: true });
+            fs.rmSync(instance.logPath, { recursive: true, force: true });
+        }
+        console.log(`🗂️  Removed instance ${instance.id}${deleteFiles ? ' and its files' : ''}`);
+    }
+
+    // Ports an instance listens on: the game port (TCP), Bedrock through
+    // Geyser (UDP), and query/RCON when enabled in its server.properties
+    getInstancePorts(instance) {
+        const properties = instance.readServerProperties().values;
+        const ports = [
+            { port: parseInt(instance.javaPort), protocol: 'tcp', use: 'java' },
+            { port: parseInt(instance.bedrockPort), protocol: 'udp', use: 'bedrock' }
+        ];
+        if (properties['enable-query'] === 'true') {
+            ports.push({ port: parseInt(properties['query.port']) || parseInt(instance.javaPort), protocol: 'udp', use: 'query' });
+        }
+        if (properties['enable-rcon'] === 'true') {
+            ports.push({ port: parseInt(properties['rcon.port']) || 25575, protocol: 'tcp', use: 'rcon' });
+        }
+        return ports;
+    }
+
+    // Conflicts with the web port and with other instances' ports (only
+    // running ones when runningOnly is set, e.g. at start time)
+    findPortConflicts(ports, { exclude = null, runningOnly = false } = {}) {
+        const claimed = [{ port: parseInt(this.webPort), protocol: 'tcp', use: 'web', owner: 'manager' }];
+        for (const instance of this.instances.values()) {
+            if (instance.id === exclude || (runningOnly && !instance.minecraftProcess)) continue;
+            claimed.push(...this.getInstancePorts(instance).map(entry => ({ ...entry, owner: instance.id })));
+        }
+
+        const conflicts = [];
+        for (const wanted of ports) {
+            const clash = claimed.find(entry => entry.port === wanted.port && entry.protocol === wanted.protocol);
+            if (clash) {
+                conflicts.push(`${wanted.use} port ${wanted.port}/${wanted.protocol} is used by ${clash.owner} (${clash.use})`);
             }
-        });
+        }
+        return conflicts;
+    }
 
-        this.minecraftProcess.stderr.on('data', (data) => {
-            const error = data.toString().trim();
-            if (error.includes('ERROR') || error.includes('FATAL') || error.includes('OutOfMemoryError')) {
-                console.error(`[MC ERROR]: ${error}`);
+    isPortFree(port, protocol) {
+        return new Promise((resolve) => {
+            if (protocol === 'udp') {
+                const socket = dgram.createSocket('udp4');
+                socket.once('error', () => { socket.close(); resolve(false); });
+                socket.bind(port, () => socket.close(() => resolve(true)));
+                return;
             }
-        });
 
-        this.minecraftProcess.on('error', (error) => {
-            console.error(`❌ Failed to start Minecraft server:`, error.message);
-            this.serverStatus = 'offline';
-            this.serverReady = false;
-            this.startTime = null;
+            const server = net.createServer();
+            server.once('error', () => resolve(false));
+            server.listen(port, '0.0.0.0', () => server.close(() => resolve(true)));
         });
+    }
 
-        this.minecraftProcess.on('close', (code) => {
-            console.log(`\n⏹️  Minecraft server exited with code ${code}`);
-            this.minecraftProcess = null;
-            this.serverStatus = 'offline';
-            this.serverReady = false;
-            this.startTime = null;
-
-            this.stopMemoryMonitoring();
+    async findFreePort(start, protocol) {
+        for (let port = start; port < start + 100; port++) {
+            const ports = [{ port, protocol, use: protocol === 'udp' ? 'bedrock' : 'java' }];
+            if (this.findPortConflicts(ports).length === 0 && await this.isPortFree(port, protocol)) {
+                return port;
+            }
+        }
+        throw new Error(`No free ${protocol} port found from ${start}`);
+    }
 
-            if (code !== 0) {
-                console.log('💥 Server crashed! Check the error messages above.');
+    loadWebhooks() {
+        try {
+            const webhooksPath = path.join(this.dataPath, 'webhooks.json');
+            if (fs.existsSync(webhooksPath)) {
+                return JSON.parse(fs.readFileSync(webhooksPath, 'utf8'));
+            }
+        } catch (error) {
+            console.log('⚠️  Could not load webhooks:', error.message);
+        }
+        return [];
+    }
 
-                if (this.restartAttempts < 2) {
-                    this.restartAttempts++;
-                    console.log(`🔄 Auto-restarting in 30 seconds... (attempt ${this.restartAttempts}/2)`);
-                    setTimeout(() => {
-                        this.startMinecraftServer();
-                    }, 30000);
-                } else {
-                    console.log('❌ Maximum restart attempts reached. Server will remain offline.');
-                }
-            } else {
-                console.log('✅ Server stopped normally.');
-                this.restartAttempts = 0;
+    saveWebhooks() {
+        try {
+            if (!fs.existsSync(this.dataPath)) {
+                fs.mkdirSync(this.dataPath, { recursive: true });
             }
-        });
+            fs.writeFileSync(path.join(this.dataPath, 'webhooks.json'), JSON.stringify(this.webhooks, null, 2));
+        } catch (error) {
+            console.log('⚠️  Could not save webhooks:', error.message);
+        }
     }
 
-    displayConnectionInfo() {
-        console.log('\n' + '='.repeat(70));
-        console.log('🎮 MINECRAFT CROSSPLAY SERVER IS ONLINE! 🎮');
-        console.log('='.repeat(70));
+    // WEBHOOK_URL / DISCORD_WEBHOOK_URL targets, limited to WEBHOOK_EVENTS if set
+    getWebhookTargets() {
+        const events = process.env.WEBHOOK_EVENTS ? process.env.WEBHOOK_EVENTS.split(',').map(event => event.trim()) : ['*'];
+        const targets = [];
+        if (process.env.WEBHOOK_URL) {
+            targets.push({ id: 'env-webhook', name: 'WEBHOOK_URL', url: process.env.WEBHOOK_URL, format: 'json', events, enabled: true, fromEnv: true });
+        }
+        if (process.env.DISCORD_WEBHOOK_URL) {
+            targets.push({ id: 'env-discord', name: 'DISCORD_WEBHOOK_URL', url: process.env.DISCORD_WEBHOOK_URL, format: 'discord', events, enabled: true, fromEnv: true });
+        }
+        return [...targets, ...this.webhooks];
+    }
 
-        if (this.publicIP && this.publicIP !== 'Unable to detect') {
-            console.log('\n📋 SHARE WITH FRIENDS:');
-            console.log(`   Java Edition: ${this.publicIP}:${this.javaPort}`);
-            console.log(`   Bedrock Edition: ${this.publicIP}:${this.bedrockPort}`);
-            console.log('   ✅ No port forwarding needed!');
+    validateWebhook(webhook) {
+        const errors = [];
+        if (typeof webhook.name !== 'string' || !webhook.name.trim() || webhook.name.length > 64) {
+            errors.push('name is required (max 64 characters)');
+        }
+        try {
+            if (!['http:', 'https:'].includes(new URL(webhook.url).protocol)) {
+                errors.push('url must be http or https');
+            }
+        } catch (error) {
+            errors.push('url must be a valid URL');
+        }
+        if (!['json', 'discord'].includes(webhook.format)) {
+            errors.push('format must be "json" or "discord"');
         }
+        if (!Array.isArray(webhook.events) || webhook.events.length === 0 ||
+            webhook.events.some(event => event !== '*' && !this.webhookEvents.includes(event))) {
+            errors.push(`events must be "*" or a list of: ${this.webhookEvents.join(', ')}`);
+        }
+        return errors;
+    }
 
-        console.log(`\n🌐 Web Management: https://${this.publicIP}`);
+    // Hide the secret part of webhook URLs (Discord tokens, query keys) in API responses
+    maskWebhookUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return `${parsed.protocol}//${parsed.host}${parsed.pathname.replace(/\/[^/]{12,}$/, '/****')}${parsed.search ? '?****' : ''}`;
+        } catch (error) {
+            return '****';
+        }
+    }
 
-        console.log('\n🎯 SUPPORTED VERSIONS:');
-        console.log('   📱 Java Edition: 1.8.x to 1.21.x (ALL VERSIONS)');
-        console.log('   🎮 Bedrock Edition: All platforms');
-        console.log('\n💾 FEATURES: Crossplay, Multi-version, Memory optimized');
-        console.log('='.repeat(70) + '\n');
+    getWebhookInfo(target) {
+        const queue = this.webhookQueues.get(target.id);
+        return {
+            id: target.id,
+            name: target.name,
+            url: this.maskWebhookUrl(target.url),
+            format: target.format,
+            events: target.events,
+            enabled: target.enabled !== false,
+            fromEnv: !!target.fromEnv,
+            queued: queue ? queue.items.length : 0,
+            lastDelivery: queue ? queue.lastDelivery : null
+        };
     }
 
-    stopMinecraftServer() {
-        if (this.minecraftProcess) {
-            this.serverStatus = 'stopping';
-            console.log('\n⏹️  Stopping Minecraft server...');
+    notify(event, message, details = {}) {
+        const payload = { event, message, time: Date.now(), details };
 
-            this.stopMemoryMonitoring();
+        for (const target of this.getWebhookTargets()) {
+            if (target.enabled === false) continue;
+            if (!target.events.includes('*') && !target.events.includes(event)) continue;
+            this.enqueueWebhook(target, payload);
+        }
+    }
 
-            try {
-                this.minecraftProcess.stdin.write('stop\n');
-            } catch (error) {
-                console.log('⚠️  Error sending stop command, forcing shutdown...');
-                this.minecraftProcess.kill('SIGTERM');
+    enqueueWebhook(target, payload) {
+        if (!this.webhookQueues.has(target.id)) {
+            this.webhookQueues.set(target.id, { items: [], sending: false, lastSentAt: 0, lastDelivery: null });
+        }
+
+        // Rate limit: a full queue (e.g. a join/leave storm) drops the oldest events
+        const queue = this.webhookQueues.get(target.id);
+        queue.items.push({ target, payload });
+        if (queue.items.length > this.webhookMaxQueue) {
+            queue.items.shift();
+        }
+
+        if (!queue.sending) {
+            this.processWebhookQueue(queue);
+        }
+    }
+
+    async processWebhookQueue(queue) {
+        queue.sending = true;
+
+        while (queue.items.length > 0) {
+            const { target, payload } = queue.items.shift();
+            const wait = queue.lastSentAt + this.webhookMinInterval - Date.now();
+            if (wait > 0) {
+                await new Promise(resolve => setTimeout(resolve, wait));
             }
 
-            setTimeout(() => {
-                if (this.minecraftProcess) {
-                    console.log('⚠️  Force stopping server...');
-                    this.minecraftProcess.kill('SIGKILL');
-                }
-            }, 15000);
+            queue.lastDelivery = await this.deliverWebhook(target, payload);
+            queue.lastSentAt = Date.now();
         }
+
+        queue.sending = false;
     }
 
-    executeCommand(command) {
-        if (this.minecraftProcess && this.serverReady && command && command.length < 100) {
+    async deliverWebhook(target, payload) {
+        const body = target.format === 'discord' ? this.formatDiscordPayload(payload) : payload;
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= this.webhookRetries; attempt++) {
             try {
-                this.minecraftProcess.stdin.write(`${command}\n`);
-                console.log(`[COMMAND]: ${command}`);
+                const response = await this.postJson(target.url, body);
+                if (response.statusCode >= 200 && response.statusCode < 300) {
+                    return { at: Date.now(), event: payload.event, success: true, attempts: attempt };
+                }
+
+                lastError = `HTTP ${response.statusCode}`;
+                // Honour the receiver's rate limit (Discord sends retry_after in seconds)
+                let retryAfter = parseFloat(response.headers['retry-after']);
+                try {
+                    retryAfter = JSON.parse(response.body).retry_after || retryAfter;
+                } catch (error) {
+                    // Not JSON
+                }
+
+                if (response.statusCode !== 429 && response.statusCode < 500) break;
+                if (attempt < this.webhookRetries) {
+                    const delay = response.statusCode === 429 && retryAfter ? retryAfter * 1000 : 1000 * Math.pow(2, attempt);
+                    await new Promise(resolve => setTimeout(resolve, Math.min(delay, 60000)));
+                }
             } catch (error) {
-                console.log('⚠️  Error executing command:', error.message);
+                lastError = error.message;
+                if (attempt < this.webhookRetries) {
+                    await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, attempt)));
+                }
             }
         }
+
+        console.log(`⚠️  Webhook "${target.name}" failed for ${payload.event}: ${lastError}`);
+        return { at: Date.now(), event: payload.event, success: false, error: lastError };
+    }
+
+    formatDiscordPayload(payload) {
+        const colors = {
+            'started': 0x2ecc71,
+            'stopped': 0x95a5a6,
+            'crashed': 0xe74c3c,
+            'restart-limit-reached': 0xc0392b,
+            'memory-warning': 0xe67e22,
+            'player-join': 0x3498db,
+            'player-leave': 0x7f8c8d,
+            'backup-completed': 0x1abc9c,
+            'backup-failed': 0xe74c3c
+        };
+
+        return {
+            username: 'Minecraft Server',
+            embeds: [{
+                title: payload.event,
+                description: payload.message,
+                color: colors[payload.event] || 0x7289da,
+                timestamp: new Date(payload.time).toISOString(),
+                fields: Object.entries(payload.details)
+                    .filter(([, value]) => value !== null && value !== undefined)
+                    .map(([name, value]) => ({ name, value: String(value).slice(0, 1024), inline: true }))
+            }]
+        };
+    }
+
+    postJson(url, body) {
+        const https = require('https');
+        const http = require('http');
+        const client = url.startsWith('https') ? https : http;
+        const data = JSON.stringify(body);
+
+        return new Promise((resolve, reject) => {
+            const request = client.request(url, {
+                method: 'POST',
+                timeout: 10000,
+                headers: {
+                    'User-Agent': 'minecraft-crossplay-server',
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(data)
+                }
+            }, (response) => {
+                let text = '';
+                response.setEncoding('utf8');
+                response.on('data', (chunk) => { text += chunk; });
+                response.on('end', () => resolve({ statusCode: response.statusCode, headers: response.headers, body: text }));
+            });
+
+            request.on('error', reject);
+            request.on('timeout', () => {
+                request.destroy();
+                reject(new Error(`Request timeout: ${this.maskWebhookUrl(url)}`));
+            });
+            request.end(data);
+        });
     }
 
     start(port) {
         const finalPort = port || this.webPort;
 
-        process.on('SIGTERM', () => {
-            console.log('📡 Received SIGTERM. Gracefully shutting down...');
-            this.stopMinecraftServer();
-            setTimeout(() => process.exit(0), 5000);
-        });
+        // Hold the exit until the world is saved and the server is down; the
+        // container's stop timeout must cover SHUTDOWN_KILL_TIMEOUT. A second
+        // signal exits immediately.
+        const shutdown = async (signal) => {
+            if (this.processExiting) {
+                console.log(`📡 Received ${signal} again. Exiting now.`);
+                process.exit(1);
+            }
 
-        process.on('SIGINT', () => {
-            console.log('📡 Received SIGINT. Gracefully shutting down...');
-            this.stopMinecraftServer();
-            setTimeout(() => process.exit(0), 5000);
-        });
+            this.processExiting = true;
+            console.log(`📡 Received ${signal}. Gracefully shutting down...`);
+            await Promise.all([...this.instances.values()].map(instance => instance.stopMinecraftServer({ countdown: 0 })));
+            await Promise.all([this.managerLog, ...[...this.instances.values()].map(instance => instance.serverLog)]
+                .map(log => log.close()));
+            process.exit(0);
+        };
+
+        process.on('SIGTERM', () => shutdown('SIGTERM'));
+        process.on('SIGINT', () => shutdown('SIGINT'));
 
         this.app.listen(finalPort, '0.0.0.0', (err) => {
             if (err) {
@@ -690,5 +7588,5 @@ use-native-transport=true
     }
 }
 
-const manager = new MinecraftCrossplayServer();
+const manager = new MinecraftServerManager();
 manager.start();